@@ -3,9 +3,29 @@
  *
  * Features:
  * - Lazy loading with Intersection Observer
+ * - GPX, KML, GeoJSON, TCX and FIT tracks
+ * - Privacy zones that hide the track near home, with trimmed GPX downloads
+ * - Export menu with simplified GPX, GeoJSON, KML and a printable route card
+ * - Lightweight SVG track preview until the reader asks for the map
  * - Direction arrows along track
  * - Peak markers with deduplication
- * - Optimized performance for long tracks
+ * - Peak order and pass counts derived from the track (optional)
+ * - GPX waypoints as typed POI markers, optionally used as peaks
+ * - Photo markers placed by coordinates or capture time, with a lightbox
+ * - Multi-day tours with per-day colors, endpoints and statistics
+ * - Overlays for planned routes and alternatives, with a legend and deviation marking
+ * - Track coloring by gradient, speed, heart rate or cadence
+ * - Animated replay with a timeline scrubber
+ * - Elevation profile linked to the track
+ * - Tour statistics derived from the GPX when not given in the shortcode
+ * - Difficulty card with a steepness histogram, the longest climb and a computed grade
+ * - Fullscreen mode with scroll wheel zoom
+ * - Base layer switcher that remembers the reader's choice
+ * - Localized UI strings and number formatting
+ * - Colors themed through CSS custom properties (per tour type, dark mode)
+ * - Public window.Tours API with DOM events, teardown and optional DOM observation
+ * - Huge recordings parsed in a Web Worker and drawn simplified per zoom level
+ * - Optional track cache in IndexedDB, revalidated in the background
  */
 (function() {
   'use strict';
@@ -15,7 +35,7 @@
   // ============================================================================
 
   const CONFIG = {
-    // Track styling
+    // Track styling (colors are fallbacks; tour-styles.css sets them through --tour-* properties)
     TRACK_COLOR: '#1d4ed8',
     TRACK_WEIGHT: 4,
     OUTLINE_COLOR: '#ffffff',
@@ -23,18 +43,37 @@
     OUTLINE_OPACITY: 0.95,
     TRACK_OPACITY: 0.9,
 
+    // Multi-day tours (day 1 keeps TRACK_COLOR, later days cycle through these)
+    DAY_COLORS: ['#dc2626', '#059669', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777'],
+
+    // Track overlays (planned route, recorded track, alternatives)
+    OVERLAY_STYLES: {
+      planned: { color: '#334155', weight: 3, opacity: 0.85, dashArray: '8 8' },
+      recorded: { color: '#0f766e', weight: 3, opacity: 0.85, dashArray: null },
+      alternative: { color: '#a21caf', weight: 3, opacity: 0.85, dashArray: '2 7' }
+    },
+    DEVIATION_METERS: 75, // Recorded track further than this from the planned route is off route
+    DEVIATION_MIN_LENGTH_METERS: 100, // Shorter detours are not marked
+    DEVIATION_MAX_GRID_CELLS: 10000, // Very long reference segments skip the grid and are always checked
+    DEVIATION_COLOR: '#f59e0b',
+    DEVIATION_WEIGHT: 12,
+    DEVIATION_OPACITY: 0.45,
+
     // Direction arrows
     ARROW_SPACING_METERS: 400,
     ARROW_SIZE: 14,
     ARROW_STROKE_COLOR: '#dbeafe',
     ARROW_PANE_ZINDEX: 450,
     ARROW_ZINDEX_OFFSET: -200,
-    ARROW_SAMPLE_RATE: 5, // Only process every Nth point for performance
+
+    // Track coloring
+    COLOR_WINDOW_METERS: 100, // Gradient and speed are measured over this distance
+    COLOR_MIN_COVERAGE: 0.5, // Share of points that need data before a mode is offered
+    COLOR_RANGE_PERCENTILE: 0.05, // Scaled modes span the 5th to 95th percentile
+    COLOR_MISSING: '#9ca3af',
 
     // Endpoint markers
-    ENDPOINT_SIZE: 28,
-    ENDPOINT_FONT_SIZE: 14,
-    ENDPOINT_BORDER_WIDTH: 3,
+    ENDPOINT_SIZE: 34, // Including the border
 
     // Peak markers
     PEAK_ICON_SIZE: 36,
@@ -45,15 +84,115 @@
     PEAK_SCALE_MULTIPLE: 2,
     PEAK_TEXT_FONT_SIZE: 11,
     PEAK_TEXT_Y: 11.45, // Slightly lower to keep digits visually centered in the badge
-    PEAK_TEXT_COLOR: '#f97316',
+    PEAK_COLOR: '#f97316',
     PEAK_BADGE_RADIUS: 5.2,
     PEAK_BADGE_FILL: '#ffffff',
     PEAK_BADGE_STROKE: '#ffffff',
     PEAK_BADGE_STROKE_WIDTH: 1.75,
+    PEAK_PASS_RADIUS_METERS: 150, // Default distance within which the track counts as passing a peak
+    PEAK_PASS_EXIT_FACTOR: 2, // A pass ends only beyond this multiple of the radius, so GPS jitter at its edge doesn't split it
+
+    // Waypoint markers
+    WAYPOINT_ICON_SIZE: 24,
+    WAYPOINT_PEAK_MATCH_METERS: 150, // Summit waypoints this close to a listed peak are not drawn twice
+
+    // Route description (text alternative for the map)
+    ROUTE_LOOP_METERS: 250, // Start and end this close together make a round trip
+    ROUTE_PLACE_MATCH_METERS: 250, // Waypoints or peaks this close to start/end name them
+
+    // Elevation profile
+    PROFILE_VIEWBOX_WIDTH: 1000, // SVG is stretched to the panel width via CSS
+    PROFILE_VIEWBOX_HEIGHT: 100,
+    PROFILE_MAX_PATH_POINTS: 800, // Downsample long tracks for the SVG path
+    PROFILE_MIN_ELEVATION_RANGE: 50, // Avoid exaggerating almost flat tracks
+    PROFILE_HOVER_TOLERANCE_PX: 24, // Max pointer distance from track for map hover
+    PROFILE_PEAK_MAX_OFFSET_METERS: 300, // Peaks further from the track are not annotated
+
+    // Track cursor (linked to the elevation profile)
+    CURSOR_RADIUS: 6,
+    CURSOR_COLOR: '#f97316',
+    CURSOR_BORDER_COLOR: '#ffffff',
+    CURSOR_BORDER_WEIGHT: 2,
+
+    // Tour statistics (relative difference before an author value is reported as stale)
+    STAT_MISMATCH_TOLERANCE: {
+      distance: 0.1,
+      elevation: 0.25, // GPX elevation gain is noisy, so allow more slack
+      max_height: 0.05,
+      duration: 0.25
+    },
+
+    // Time estimate when the shortcode gives no duration (see TOUR STATISTICS)
+    // speed in km/h on the flat, ascent and descent in meters per hour; sites can tune them
+    ESTIMATE_MODELS: {
+      hike: { formula: 'din', speed: 4, ascent: 300, descent: 500 }, // DIN 33466 / Alpine club
+      run: { formula: 'sum', speed: 9, ascent: 900, descent: 0 },
+      mtb: { formula: 'sum', speed: 15, ascent: 600, descent: 0 },
+      gravel: { formula: 'sum', speed: 20, ascent: 800, descent: 0 }
+    },
+
+    // Difficulty analysis (see DIFFICULTY)
+    DIFFICULTY_STEP_METERS: 10, // Elevation is resampled at this spacing along the track
+    DIFFICULTY_SMOOTH_METERS: 50, // ...and averaged over this distance to calm GPS noise
+    DIFFICULTY_BANDS: [5, 10, 15, 20, 25], // Gradient band limits in percent
+    DIFFICULTY_CLIMB_DIP_METERS: 10, // A climb goes on through dips up to this deep
+    DIFFICULTY_CLIMB_MIN_GRADIENT: 3, // Flatter rises do not count as climbs
+    DIFFICULTY_STEEP_WINDOW_METERS: 100,
+    DIFFICULTY_STEEP_GRADIENT: 20, // Stretches this steep over the window are marked on the map
+    DIFFICULTY_EFFORT_HOURS: [3, 5, 7], // Estimated time of the longest day that raises the grade
+    DIFFICULTY_STEEPNESS_GRADIENT: [12, 20, 30], // Steepest window in percent that raises the grade
+    DIFFICULTY_COLOR: '#dc2626',
+    DIFFICULTY_WEIGHT: 12,
+    DIFFICULTY_OPACITY: 0.45,
+
+    // Photos
+    PHOTO_ICON_SIZE: 40,
+    PHOTO_EXIF_BYTES: 131072, // EXIF sits at the start of a JPEG; only this much is fetched
+    PHOTO_TIME_TOLERANCE_MS: 15 * 60 * 1000, // Photos shortly before/after the recording snap to its ends
+    PHOTO_TIMEZONE_GUESS_HOURS: 14, // Search range for camera times without a timezone
+
+    // Replay
+    REPLAY_BASE_DURATION_MS: 60000, // A full replay at 1x takes one minute
+    REPLAY_SPEEDS: [0.5, 1, 2, 4],
+    REPLAY_SCRUBBER_STEPS: 1000,
+    REPLAY_MAX_GAP_MS: 2 * 60 * 60 * 1000, // Longer breaks between points are skipped
+    REPLAY_MAX_FRAME_MS: 100,
+    REPLAY_PEAK_PAUSE_MS: 1500,
+    REPLAY_MARKER_RADIUS: 7,
+    REPLAY_MARKER_COLOR: '#111827',
+
+    // Export menu
+    GPX_CREATOR: 'fischr Tours', // creator attribute of every GPX file the plugin writes
+    EXPORT_POINT_BUDGETS: [250, 500, 1000, 2000], // Older handhelds keep only a few hundred points per track
+    EXPORT_REVOKE_DELAY_MS: 1000, // Blob URLs stay valid until the browser has started the download
+    ROUTE_CARD_WIDTH: 1240, // A4 portrait at 150 dpi
+    ROUTE_CARD_HEIGHT: 1754,
+    ROUTE_CARD_MARGIN: 80,
+
+    // Privacy zones (the page lists the hashed grid cells they cover, see tour-privacy-cell.html)
+    PRIVACY_CELL_DEGREES: 0.001,
+
+    // Fullscreen
+    FULLSCREEN_RESTORE_DURATION: 0.5, // Seconds for the return flight to the default view
+
+    // Huge recordings (see TRACK WORKER)
+    TRACK_WORKER_MIN_POINTS: 20000, // Smaller tracks parse faster on the main thread than a worker starts
+    TRACK_SIMPLIFY_TOLERANCE_PX: 1, // Drawn lines leave out detail smaller than this at the current zoom
+    TRACK_CONVERT_MAX_BYTES: 5 * 1024 * 1024, // FIT, TCX, KML and GeoJSON are converted on the main thread; larger files must be GPX
+
+    // Track cache (opt-in, see TRACK CACHE)
+    TRACK_CACHE_MAX_BYTES: 50 * 1024 * 1024, // Least recently used tracks are dropped beyond this
 
     // Map settings
     LAYER_READY_FRAME_DELAY: 16,
 
+    // Track preview
+    PREVIEW_MAX_POINTS: 400, // Points drawn in the SVG silhouette across all days
+    PREVIEW_PADDING: 0.08, // Share of the preview kept free around the track
+    PREVIEW_WIDTH: 1000, // viewBox width; the height follows the canvas aspect ratio
+    PREVIEW_PEAK_RADIUS: 9,
+    PREVIEW_DETAILS_DELAY: 200, // ms before the details of a preview load without requestIdleCallback (Safari)
+
     // Lazy loading
     LAZY_LOAD_MARGIN: '100px', // Load maps 100px before they enter viewport
     LAZY_LOAD_MARGIN_PX: 100, // Same as above but as number for scroll fallback
@@ -69,6 +208,7 @@
 
   const DEG_TO_RAD = Math.PI / 180;
   const RAD_TO_DEG = 180 / Math.PI;
+  const EARTH_CIRCUMFERENCE_METERS = 40075016.686;
 
   // Counter for unique shadow IDs (more efficient than Math.random())
   let shadowIdCounter = 0;
@@ -101,6 +241,44 @@
            lngNum >= -180 && lngNum <= 180;
   }
 
+  /**
+   * Tour id of a map canvas, from its <section class="tour-entry" id="tour-...">
+   */
+  function getTourId(canvas) {
+    const entry = canvas.closest('.tour-entry');
+    return entry && entry.id ? entry.id.replace(/^tour-/, '') : null;
+  }
+
+  /**
+   * Dispatch a bubbling "tours:<name>" event from a map canvas
+   * detail always carries tourId and canvas, plus the given fields
+   */
+  function dispatchTourEvent(canvas, name, detail) {
+    canvas.dispatchEvent(new CustomEvent(`tours:${name}`, {
+      bubbles: true,
+      detail: Object.assign({ tourId: getTourId(canvas), canvas: canvas }, detail)
+    }));
+  }
+
+  /**
+   * Allow relative URLs and http/https URLs only
+   */
+  function isSafeUrl(url) {
+    if (!url || typeof url !== 'string') {
+      return false;
+    }
+    const trimmed = url.trim();
+    if (trimmed.startsWith('/') || trimmed.startsWith('./') || trimmed.startsWith('../')) {
+      return true;
+    }
+    try {
+      const parsed = new URL(trimmed, window.location.href);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (err) {
+      return false;
+    }
+  }
+
   /**
    * DOM ready helper
    */
@@ -161,6 +339,16 @@
     }
   }
 
+  /**
+   * Recording time of a track point in milliseconds, NaN when the track has none
+   * leaflet-gpx fills a missing <time> with midnight of 1 January 1970 in local time, which is
+   * not 0 outside UTC, so every date in 1970 counts as missing.
+   */
+  function readPointTime(latLng) {
+    const time = latLng?.meta?.time;
+    return time && typeof time.getTime === 'function' && time.getFullYear() > 1970 ? time.getTime() : NaN;
+  }
+
   /**
    * Calculate bearing between two points
    */
@@ -196,12 +384,251 @@
     return target;
   }
 
+  // ============================================================================
+  // LOCALIZATION
+  // ============================================================================
+
+  /**
+   * Built-in English strings, used for keys missing from the page's string table.
+   * Tables are rendered by the tour-assets.html partial from data/tours/i18n.
+   */
+  const DEFAULT_STRINGS = {
+    type_hike: 'Hike',
+    type_mtb: 'MTB',
+    type_gravel: 'Gravel',
+    type_run: 'Run',
+    stat_distance: 'Distance',
+    stat_elevation: 'Ascent',
+    map_load_error: 'Failed to load tour map',
+    preview_load: 'Load interactive map',
+    fullscreen_enter: 'Enter fullscreen',
+    fullscreen_exit: 'Exit fullscreen',
+    basemap_outdoor: 'Outdoor',
+    basemap_satellite: 'Satellite',
+    basemap_winter: 'Winter',
+    basemap_topo: 'OpenTopoMap',
+    basemap_osm: 'OpenStreetMap',
+    waypoint_summit: 'Summit',
+    waypoint_hut: 'Hut',
+    waypoint_parking: 'Parking',
+    waypoint_water: 'Water',
+    waypoint_poi: 'Waypoint',
+    peak_not_on_track: 'not on the track',
+    peak_time: '{time}',
+    route_loop: 'Round trip, {distance} km.',
+    route_oneway: 'One-way route, {distance} km.',
+    route_days: '{days} days.',
+    route_ascent: '{ascent} m of ascent.',
+    route_start: 'Starts at {name}.',
+    route_end: 'Ends at {name}.',
+    route_peaks: 'Peaks: {peaks}.',
+    photos_label: 'Photos',
+    photo_alt: 'Photo {index}',
+    photo_viewer: 'Photo viewer',
+    photo_previous: 'Previous photo',
+    photo_next: 'Next photo',
+    photo_close: 'Close',
+    photo_counter: '{index} of {total}',
+    days_heading: 'Stage',
+    day_label: 'Day {day}',
+    days_total: 'Total',
+    overlay_legend: 'Tracks',
+    overlay_main: 'Tour',
+    overlay_role_planned: 'planned',
+    overlay_role_recorded: 'recorded',
+    overlay_role_alternative: 'alternative',
+    overlay_deviation: 'Off the planned route',
+    overlay_deviation_length: '{distance} km off the planned route',
+    difficulty_computed: 'Computed',
+    difficulty_grade_1: 'Easy',
+    difficulty_grade_2: 'Moderate',
+    difficulty_grade_3: 'Difficult',
+    difficulty_grade_4: 'Very difficult',
+    difficulty_steepness: 'Share of the distance by gradient',
+    difficulty_band: 'Gradient',
+    difficulty_up: 'Uphill',
+    difficulty_down: 'Downhill',
+    difficulty_longest_climb: 'Longest climb',
+    difficulty_climb_value: '{distance} km, {ascent} m at {gradient} %',
+    difficulty_steepest: 'Steepest 100 m',
+    difficulty_steepest_up: '{gradient} % uphill',
+    difficulty_steepest_down: '{gradient} % downhill',
+    difficulty_show: 'Show on map',
+    difficulty_steep_section: 'Steep section, up to {gradient} %',
+    peaks_heading: 'Summit log',
+    download_track: 'Download {format}',
+    export_label: 'Export',
+    export_simplified: 'Download simplified GPX',
+    export_points: '{count} points',
+    export_points_label: 'Points in the simplified GPX',
+    export_card_png: 'Route card (PNG)',
+    export_card_html: 'Route card for printing (HTML)',
+    color_by_label: 'Track color',
+    color_mode_solid: 'Single color',
+    color_mode_gradient: 'Gradient',
+    color_mode_speed: 'Speed',
+    color_mode_heartrate: 'Heart rate',
+    color_mode_cadence: 'Cadence',
+    replay_play: 'Play replay',
+    replay_pause: 'Pause replay',
+    replay_position: 'Replay position',
+    replay_speed: 'Replay speed',
+    replay_time: 'Time',
+    replay_elevation: 'Elevation',
+    overview_filter_type: 'Type',
+    overview_filter_region: 'Region',
+    overview_filter_year: 'Year',
+    overview_all_types: 'All types',
+    overview_all_regions: 'All regions',
+    overview_all_years: 'All years',
+    overview_view_tour: 'View tour'
+  };
+
+  /**
+   * Translators by locale (string tables are read from the DOM only once)
+   */
+  const translatorCache = new Map();
+
+  /**
+   * Read the string table the shortcode rendered for a locale
+   */
+  function readStringTable(locale) {
+    const scripts = document.querySelectorAll('script[data-tours-i18n]');
+    for (let i = 0; i < scripts.length; i++) {
+      if (scripts[i].getAttribute('data-tours-i18n') !== locale) {
+        continue;
+      }
+      try {
+        return JSON.parse(scripts[i].textContent);
+      } catch (err) {
+        console.warn('[Tours] Failed to parse string table for locale:', locale, err);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Locale of a widget: data-tour-locale on the element or an ancestor, else the document language
+   */
+  function getLocale(element) {
+    const localized = element && typeof element.closest === 'function' ? element.closest('[data-tour-locale]') : null;
+    return localized?.getAttribute('data-tour-locale') || document.documentElement.lang || 'en';
+  }
+
+  /**
+   * Map a locale to one supported by Intl, falling back to English
+   */
+  function resolveIntlLocale(locale) {
+    try {
+      return Intl.NumberFormat.supportedLocalesOf([locale]).length ? locale : 'en';
+    } catch (err) {
+      return 'en';
+    }
+  }
+
+  /**
+   * Create (or reuse) a translator with string lookup and locale-aware formatting
+   * @param {string} locale - Locale such as "de" or "en-us"
+   * @returns {Object} { locale, t(key, params), number(value, decimals), date(value), time(value, timeZone) }
+   */
+  function createTranslator(locale) {
+    const cacheKey = locale || 'en';
+    if (translatorCache.has(cacheKey)) {
+      return translatorCache.get(cacheKey);
+    }
+
+    const strings = Object.assign({}, DEFAULT_STRINGS, readStringTable(cacheKey) || {});
+    const intlLocale = resolveIntlLocale(cacheKey);
+    const numberFormats = new Map();
+
+    const translator = {
+      locale: intlLocale,
+
+      /**
+       * Look up a string; {name} placeholders are replaced from params
+       */
+      t(key, params) {
+        const template = Object.prototype.hasOwnProperty.call(strings, key) ? String(strings[key]) : key;
+        if (!params) {
+          return template;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+      },
+
+      /**
+       * Format a number with a fixed number of decimals (up to 2 when omitted)
+       */
+      number(value, decimals) {
+        const formatKey = typeof decimals === 'number' ? decimals : 'auto';
+        let format = numberFormats.get(formatKey);
+        if (!format) {
+          format = new Intl.NumberFormat(intlLocale, typeof decimals === 'number'
+            ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false }
+            : { maximumFractionDigits: 2, useGrouping: false });
+          numberFormats.set(formatKey, format);
+        }
+        return format.format(value);
+      },
+
+      /**
+       * Format a date; "YYYY-MM-DD" is read as a local date to avoid timezone shifts
+       */
+      date(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+        if (isNaN(date.getTime())) {
+          return String(value || '');
+        }
+        return date.toLocaleDateString(intlLocale, { year: 'numeric', month: 'long', day: 'numeric' });
+      },
+
+      /**
+       * Format a time of day (hours and minutes); an unknown time zone falls back to local time
+       */
+      time(value, timeZone) {
+        const date = new Date(value);
+        const options = { hour: '2-digit', minute: '2-digit' };
+        try {
+          return date.toLocaleTimeString(intlLocale, Object.assign({ timeZone: timeZone || undefined }, options));
+        } catch (err) {
+          return date.toLocaleTimeString(intlLocale, options);
+        }
+      }
+    };
+
+    translatorCache.set(cacheKey, translator);
+    return translator;
+  }
+
+  // ============================================================================
+  // THEME
+  // ============================================================================
+
+  /**
+   * Resolve the colors Leaflet draws with from the --tour-* custom properties of an element
+   * Path and circle marker styles need concrete values, so they cannot use var() directly.
+   * @param {string} [type] - Tour type whose --tour-track-color-<type> wins over --tour-track-color
+   * @returns {Object} { track, outline, cursor, cursorBorder, replayMarker }
+   */
+  function readTheme(element, type) {
+    const style = element && typeof window.getComputedStyle === 'function' ? window.getComputedStyle(element) : null;
+    const read = (property, fallback) => (style && style.getPropertyValue(property).trim()) || fallback;
+    const typeColor = type ? read(`--tour-track-color-${type}`, '') : '';
+    return {
+      track: typeColor || read('--tour-track-color', CONFIG.TRACK_COLOR),
+      outline: read('--tour-track-outline', CONFIG.OUTLINE_COLOR),
+      cursor: read('--tour-cursor-color', CONFIG.CURSOR_COLOR),
+      cursorBorder: read('--tour-cursor-border', CONFIG.CURSOR_BORDER_COLOR),
+      replayMarker: read('--tour-replay-marker', CONFIG.REPLAY_MARKER_COLOR)
+    };
+  }
+
   // ============================================================================
   // TRACK MANIPULATION
   // ============================================================================
 
   /**
-   * Collect all polyline layers from a GPX layer
+   * Collect all polyline layers from a GPX layer (in GPX document order)
    */
   function collectTrackLines(layer) {
     const collected = [];
@@ -216,16 +643,22 @@
         continue;
       }
 
+      // Children are pushed in reverse so they are popped in their original order
       if (typeof current.getLayers === 'function') {
         const children = current.getLayers();
         if (children && children.length) {
-          children.forEach(child => stack.push(child));
+          for (let i = children.length - 1; i >= 0; i--) {
+            stack.push(children[i]);
+          }
         }
         continue;
       }
 
       if (current._layers) {
-        Object.keys(current._layers).forEach(key => stack.push(current._layers[key]));
+        const keys = Object.keys(current._layers);
+        for (let i = keys.length - 1; i >= 0; i--) {
+          stack.push(current._layers[keys[i]]);
+        }
         continue;
       }
 
@@ -269,10 +702,12 @@
   }
 
   /**
-   * Add white outline behind track for better visibility
+   * Add outline behind track for better visibility
+   * @param {L.Map|L.LayerGroup} target - Map or layer group the outlines are added to
+   * @param {string} [outlineColor] - Themed outline color, see readTheme()
    */
-  function addTrackOutline(lines, map, color) {
-    if (!window.L || !lines || !map || !lines.length) {
+  function addTrackOutline(lines, target, color, outlineColor) {
+    if (!window.L || !lines || !target || !lines.length) {
       return;
     }
 
@@ -286,13 +721,15 @@
       }
       const baseWeight = line.options?.weight || CONFIG.TRACK_WEIGHT;
       const outline = L.polyline(latLngs, {
-        color: CONFIG.OUTLINE_COLOR,
+        color: outlineColor || CONFIG.OUTLINE_COLOR,
         weight: baseWeight + CONFIG.OUTLINE_WEIGHT_OFFSET,
         opacity: CONFIG.OUTLINE_OPACITY,
         lineJoin: 'round',
         lineCap: 'round'
-      }).addTo(map);
+      }).addTo(target);
       bringLayerToBackWhenReady(outline);
+      // Compact lines redraw a simplified copy of their points on zoom (see TRACK WORKER)
+      line.on('simplify', () => outline.setLatLngs(line.getLatLngs()));
       if (typeof line.setStyle === 'function') {
         line.setStyle({
           color: color,
@@ -350,7 +787,7 @@
     const arrowColor = color || CONFIG.TRACK_COLOR;
     const rotation = typeof rotationDeg === 'number' && isFinite(rotationDeg) ? rotationDeg : 0;
     const svg = `<svg viewBox="0 0 32 32" width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg" style="display:block">
-      <rect x="2" y="2" width="28" height="28" rx="6" ry="6" fill="#fff" stroke="${stroke}" stroke-width="2" />
+      <rect x="2" y="2" width="28" height="28" rx="6" ry="6" fill="#fff" stroke="${stroke}" stroke-width="2" class="mbtour-arrow-box" />
       <g transform="rotate(${rotation}, 16, 16)">
         <path d="M16 6l7 10h-4.5v10h-5v-10H9z" fill="${arrowColor}" />
       </g>
@@ -365,9 +802,10 @@
   }
 
   /**
-   * Add direction arrows along the track (optimized with sampling)
+   * Add direction arrows along the track, every ARROW_SPACING_METERS of its full-resolution points
+   * @param {L.LayerGroup} [target] - Layer group for the arrows, on the map; the map itself by default
    */
-  function addDirectionArrows(lines, map, color) {
+  function addDirectionArrows(lines, map, color, target) {
     if (!window.L || !lines || !map || !lines.length) {
       return;
     }
@@ -382,60 +820,343 @@
       }
     }
 
-    const allTrackPoints = [];
+    const spacing = CONFIG.ARROW_SPACING_METERS;
+    let nextMarkerDistance = spacing / 2;
+    let travelled = 0;
+
+    // Spacing continues from one line to the next, gaps between them are not counted
+    collectTrackSamples(lines).forEach(samples => {
+      const latLngs = samples.latLngs;
+      const distances = samples.distances;
+      for (let i = 1; i < latLngs.length; i++) {
+        const prev = latLngs[i - 1];
+        const current = latLngs[i];
+        const segmentDistance = distances[i] - distances[i - 1];
+        if (!segmentDistance) {
+          continue;
+        }
+
+        while (travelled + distances[i] >= nextMarkerDistance) {
+          const ratio = (nextMarkerDistance - travelled - distances[i - 1]) / segmentDistance;
+          const lat = prev.lat + (current.lat - prev.lat) * ratio;
+          const lng = prev.lng + (current.lng - prev.lng) * ratio;
+          const bearing = bearingBetween(prev, current);
+          L.marker([lat, lng], {
+            interactive: false,
+            pane: arrowPaneName,
+            zIndexOffset: CONFIG.ARROW_ZINDEX_OFFSET,
+            icon: createDirectionIcon(bearing, color)
+          }).addTo(target || map);
+          nextMarkerDistance += spacing;
+        }
+      }
+      travelled += distances[distances.length - 1];
+    });
+  }
+
+  // ============================================================================
+  // TRACK COLORING
+  // ============================================================================
+
+  const SEQUENTIAL_TRACK_COLORS = ['#2563eb', '#06b6d4', '#22c55e', '#facc15', '#f97316', '#dc2626'];
+
+  /**
+   * Track coloring modes
+   * Gradient uses fixed slope classes; the other modes are scaled to the track's own
+   * range (see COLOR_RANGE_PERCENTILE) so a single outlier does not flatten the colors.
+   */
+  const TRACK_COLOR_MODES = {
+    gradient: {
+      unit: '%',
+      thresholds: [-10, -4, 4, 8, 12, 18],
+      colors: ['#2563eb', '#60a5fa', '#22c55e', '#facc15', '#f97316', '#dc2626', '#7f1d1d'],
+      compute: (samples, lo, hi) => {
+        const distance = samples.distances[hi] - samples.distances[lo];
+        const from = samples.latLngs[lo].meta?.ele;
+        const to = samples.latLngs[hi].meta?.ele;
+        // leaflet-gpx stores a missing elevation as null, which the global isFinite() accepts as 0
+        return distance > 0 && Number.isFinite(from) && Number.isFinite(to) ? (to - from) / distance * 100 : NaN;
+      }
+    },
+    speed: {
+      unit: 'km/h',
+      decimals: 1,
+      colors: SEQUENTIAL_TRACK_COLORS,
+      compute: (samples, lo, hi) => {
+        const from = readPointTime(samples.latLngs[lo]);
+        const to = readPointTime(samples.latLngs[hi]);
+        if (!(to > from)) {
+          return NaN;
+        }
+        return (samples.distances[hi] - samples.distances[lo]) / (to - from) * 3600;
+      }
+    },
+    heartrate: {
+      unit: 'bpm',
+      colors: SEQUENTIAL_TRACK_COLORS,
+      meta: 'hr'
+    },
+    cadence: {
+      unit: 'rpm',
+      colors: SEQUENTIAL_TRACK_COLORS,
+      meta: 'cad'
+    }
+  };
+
+  /**
+   * Flatten track lines into point lists with cumulative distances
+   */
+  function collectTrackSamples(lines) {
+    const samples = [];
     lines.forEach(line => {
       if (!line || typeof line.getLatLngs !== 'function') {
         return;
       }
-      collectLatLngs(line.getLatLngs(), allTrackPoints);
+      const latLngs = collectLatLngs(getTrackLatLngs(line), []);
+      if (latLngs.length < 2) {
+        return;
+      }
+      // Lines from the track worker come with their distances
+      if (line.tourTrack) {
+        samples.push({ latLngs: latLngs, distances: line.tourTrack.distances });
+        return;
+      }
+      const distances = [0];
+      for (let i = 1; i < latLngs.length; i++) {
+        distances.push(distances[i - 1] + distanceBetween(latLngs[i - 1], latLngs[i]));
+      }
+      samples.push({ latLngs: latLngs, distances: distances });
     });
+    return samples;
+  }
 
-    if (allTrackPoints.length < 2) {
-      return;
+  /**
+   * Compute the value of a coloring mode for every point of a line
+   * Rates (gradient, speed) are measured over a window around each point to smooth GPS noise.
+   */
+  function computeTrackValues(samples, mode) {
+    const count = samples.latLngs.length;
+    const values = new Array(count);
+    if (mode.meta) {
+      for (let i = 0; i < count; i++) {
+        const value = samples.latLngs[i].meta?.[mode.meta];
+        values[i] = typeof value === 'number' && value > 0 ? value : NaN;
+      }
+      return values;
     }
 
-    // Optimize for long tracks: sample points
-    let sampleRate = CONFIG.ARROW_SAMPLE_RATE;
-    if (allTrackPoints.length > 1000) {
-      // For very long tracks, sample more aggressively
-      sampleRate = Math.max(sampleRate, Math.floor(allTrackPoints.length / 200));
+    const half = CONFIG.COLOR_WINDOW_METERS / 2;
+    const distances = samples.distances;
+    let lo = 0;
+    let hi = 0;
+    for (let i = 0; i < count; i++) {
+      while (distances[i] - distances[lo] > half) {
+        lo++;
+      }
+      while (hi < count - 1 && distances[hi] - distances[i] < half) {
+        hi++;
+      }
+      values[i] = mode.compute(samples, lo, hi);
     }
+    return values;
+  }
 
-    const trackPoints = allTrackPoints.filter((_, i) => i % sampleRate === 0);
-    // Always include the last point
-    if (trackPoints[trackPoints.length - 1] !== allTrackPoints[allTrackPoints.length - 1]) {
-      trackPoints.push(allTrackPoints[allTrackPoints.length - 1]);
+  /**
+   * Derive class thresholds for a scaled mode from the track's value range
+   * @returns {Object|null} { thresholds, min, max }
+   */
+  function computeScaledThresholds(values, classCount) {
+    const sorted = values.filter(value => isFinite(value)).sort((a, b) => a - b);
+    if (!sorted.length) {
+      return null;
+    }
+    const pick = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * (sorted.length - 1)))];
+    const min = pick(CONFIG.COLOR_RANGE_PERCENTILE);
+    const max = pick(1 - CONFIG.COLOR_RANGE_PERCENTILE);
+    const thresholds = [];
+    for (let i = 1; i < classCount; i++) {
+      thresholds.push(min + (max - min) * i / classCount);
     }
+    return { thresholds: thresholds, min: min, max: max };
+  }
 
-    const spacing = CONFIG.ARROW_SPACING_METERS;
-    let nextMarkerDistance = spacing / 2;
-    let travelled = 0;
+  /**
+   * Build colored polylines, merging consecutive points of the same class into one line
+   */
+  function buildColoredTrack(samplesList, valuesList, thresholds, colors) {
+    const group = L.layerGroup();
+    const classOf = value => {
+      if (!isFinite(value)) {
+        return -1;
+      }
+      let index = 0;
+      while (index < thresholds.length && value >= thresholds[index]) {
+        index++;
+      }
+      return index;
+    };
 
-    for (let i = 1; i < trackPoints.length; i++) {
-      const prev = trackPoints[i - 1];
-      const current = trackPoints[i];
-      const segmentDistance = distanceBetween(prev, current);
-      if (!segmentDistance) {
-        continue;
+    samplesList.forEach((samples, lineIndex) => {
+      const values = valuesList[lineIndex];
+      let runClass = classOf(values[0]);
+      let run = [samples.latLngs[0]];
+      const flush = () => {
+        if (run.length > 1) {
+          L.polyline(run, {
+            color: runClass < 0 ? CONFIG.COLOR_MISSING : colors[runClass],
+            weight: CONFIG.TRACK_WEIGHT,
+            opacity: 1,
+            lineJoin: 'round',
+            lineCap: 'round',
+            interactive: false
+          }).addTo(group);
+        }
+      };
+      for (let i = 1; i < samples.latLngs.length; i++) {
+        run.push(samples.latLngs[i]);
+        const nextClass = classOf(values[i]);
+        if (nextClass !== runClass) {
+          flush();
+          run = [samples.latLngs[i]];
+          runClass = nextClass;
+        }
       }
+      flush();
+    });
+    return group;
+  }
 
-      while (travelled + segmentDistance >= nextMarkerDistance) {
-        const distanceIntoSegment = nextMarkerDistance - travelled;
-        const ratio = distanceIntoSegment / segmentDistance;
-        const lat = prev.lat + (current.lat - prev.lat) * ratio;
-        const lng = prev.lng + (current.lng - prev.lng) * ratio;
-        const bearing = bearingBetween(prev, current);
-        L.marker([lat, lng], {
-          interactive: false,
-          pane: arrowPaneName,
-          zIndexOffset: CONFIG.ARROW_ZINDEX_OFFSET,
-          icon: createDirectionIcon(bearing, color)
-        }).addTo(map);
-        nextMarkerDistance += spacing;
+  /**
+   * Render the legend for a coloring mode
+   */
+  function renderColorLegend(mode, scale, i18n) {
+    const format = value => i18n.number(value, mode.decimals || 0);
+    if (!scale) {
+      // Fixed classes: one swatch per class
+      const thresholds = mode.thresholds;
+      return `<ul class="tour-color-legend-classes">${mode.colors.map((color, index) => {
+        let label;
+        if (index === 0) {
+          label = `< ${format(thresholds[0])}`;
+        } else if (index === thresholds.length) {
+          label = `> ${format(thresholds[index - 1])}`;
+        } else {
+          label = `${format(thresholds[index - 1])} – ${format(thresholds[index])}`;
+        }
+        return `<li><span class="tour-color-swatch" style="background: ${color}"></span>${escapeHtml(label)} ${escapeHtml(mode.unit)}</li>`;
+      }).join('')}</ul>`;
+    }
+
+    return `<div class="tour-color-legend-bar" style="background: linear-gradient(to right, ${mode.colors.join(', ')})"></div>
+      <div class="tour-color-legend-range">
+        <span>${escapeHtml(format(scale.min))} ${escapeHtml(mode.unit)}</span>
+        <span>${escapeHtml(format(scale.max))} ${escapeHtml(mode.unit)}</span>
+      </div>`;
+  }
+
+  /**
+   * Add track coloring with a reader toggle and legend
+   * Only modes with data on enough of the track are offered.
+   * @param {L.LayerGroup} trackLayer - The tour's own track; colored lines are drawn into it
+   * @returns {Object|null} { mode, setMode(key) }
+   */
+  function addTrackColoring(canvas, map, days, trackLayer, i18n) {
+    const samplesList = collectTrackSamples(days.reduce((all, day) => all.concat(day.lines), []));
+    if (!samplesList.length) {
+      return null;
+    }
+
+    const prepared = Object.create(null);
+    Object.keys(TRACK_COLOR_MODES).forEach(key => {
+      const mode = TRACK_COLOR_MODES[key];
+      const valuesList = samplesList.map(samples => computeTrackValues(samples, mode));
+      const all = valuesList.reduce((list, values) => list.concat(values), []);
+      const coverage = all.filter(value => isFinite(value)).length / all.length;
+      if (coverage < CONFIG.COLOR_MIN_COVERAGE) {
+        return;
+      }
+      const scale = mode.thresholds ? null : computeScaledThresholds(all, mode.colors.length);
+      if (!mode.thresholds && (!scale || scale.max <= scale.min)) {
+        return;
+      }
+      prepared[key] = { mode: mode, valuesList: valuesList, scale: scale, layer: null };
+    });
+
+    const requested = canvas.getAttribute('data-color-by');
+    if (requested && requested !== 'solid' && !prepared[requested]) {
+      console.warn('[Tours] Track coloring not available for this track:', requested);
+    }
+    const modeKeys = Object.keys(prepared);
+    if (!modeKeys.length) {
+      return null;
+    }
+
+    const trackLines = days.reduce((all, day) => all.concat(day.lines), []);
+    const coloring = { mode: 'solid', setMode: setMode };
+    let legend = null;
+    let select = null;
+
+    function setMode(key) {
+      const next = prepared[key] ? key : 'solid';
+      if (coloring.mode !== 'solid') {
+        trackLayer.removeLayer(prepared[coloring.mode].layer);
+      }
+      coloring.mode = next;
+
+      // Keep the original lines (hidden) so their colors survive switching back
+      trackLines.forEach(line => {
+        if (typeof line.setStyle === 'function') {
+          line.setStyle({ opacity: next === 'solid' ? CONFIG.TRACK_OPACITY : 0 });
+        }
+      });
+
+      if (next !== 'solid') {
+        const entry = prepared[next];
+        if (!entry.layer) {
+          const thresholds = entry.scale ? entry.scale.thresholds : entry.mode.thresholds;
+          entry.layer = buildColoredTrack(samplesList, entry.valuesList, thresholds, entry.mode.colors);
+        }
+        entry.layer.addTo(trackLayer);
+      }
+
+      if (select) {
+        select.value = next;
+      }
+      if (legend) {
+        legend.innerHTML = next === 'solid' ? '' : renderColorLegend(prepared[next].mode, prepared[next].scale, i18n);
+        legend.hidden = next === 'solid';
+      }
+    }
+
+    const ColoringControl = L.Control.extend({
+      options: {
+        position: 'bottomleft'
+      },
+      onAdd() {
+        const container = L.DomUtil.create('div', 'leaflet-bar tour-map-control tour-color-control');
+        const label = L.DomUtil.create('label', 'tour-color-label', container);
+        const text = L.DomUtil.create('span', '', label);
+        text.textContent = i18n.t('color_by_label');
+        select = L.DomUtil.create('select', 'tour-color-select', label);
+        ['solid'].concat(modeKeys).forEach(key => {
+          const option = L.DomUtil.create('option', '', select);
+          option.value = key;
+          option.textContent = i18n.t('color_mode_' + key);
+        });
+        legend = L.DomUtil.create('div', 'tour-color-legend', container);
+        legend.hidden = true;
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        L.DomEvent.on(select, 'change', () => setMode(select.value));
+        return container;
       }
+    });
+    map.addControl(new ColoringControl());
 
-      travelled += segmentDistance;
+    if (prepared[requested]) {
+      setMode(requested);
     }
+    return coloring;
   }
 
   // ============================================================================
@@ -447,20 +1168,21 @@
    */
   function createEndpointIcon(label) {
     const size = CONFIG.ENDPOINT_SIZE;
-    const styles = `width: ${size}px; height: ${size}px; border-radius: ${Math.round(size / 2)}px; background: #000; color: #fff; font-weight: 700; font-size: ${CONFIG.ENDPOINT_FONT_SIZE}px; display: flex; align-items: center; justify-content: center; border: ${CONFIG.ENDPOINT_BORDER_WIDTH}px solid #fff; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.45)`;
     return L.divIcon({
-      className: '',
+      className: label.length > 2 ? 'mbtour-endpoint-icon mbtour-endpoint-long' : 'mbtour-endpoint-icon',
       iconSize: [size, size],
       iconAnchor: [Math.round(size / 2), Math.round(size / 2)],
-      html: `<div style="${styles}">${label}</div>`
+      html: escapeHtml(label)
     });
   }
 
   /**
    * Add start (A) and end (B) markers
+   * On multi-day tours the day number is appended (A1/B1, A2/B2, ...).
+   * @param {L.Map|L.LayerGroup} target - Map or layer group the markers are added to
    */
-  function addEndpointMarkers(lines, map) {
-    if (!window.L || !lines || !map || !lines.length) {
+  function addEndpointMarkers(lines, target, day) {
+    if (!window.L || !lines || !target || !lines.length) {
       return;
     }
 
@@ -470,7 +1192,7 @@
       if (!line || typeof line.getLatLngs !== 'function') {
         return;
       }
-      const flattened = collectLatLngs(line.getLatLngs(), []);
+      const flattened = collectLatLngs(getTrackLatLngs(line), []);
       if (!flattened.length) {
         return;
       }
@@ -482,14 +1204,14 @@
 
     if (startLatLng) {
       L.marker(startLatLng, {
-        icon: createEndpointIcon('A')
-      }).addTo(map);
+        icon: createEndpointIcon(day ? `A${day}` : 'A')
+      }).addTo(target);
     }
 
     if (endLatLng) {
       L.marker(endLatLng, {
-        icon: createEndpointIcon('B')
-      }).addTo(map);
+        icon: createEndpointIcon(day ? `B${day}` : 'B')
+      }).addTo(target);
     }
   }
 
@@ -526,7 +1248,7 @@
     return Math.max(5, Math.round(baseFontSize - reduction));
   }
 
-  function createPeakIcon(scale, numbers) {
+  function createPeakIcon(scale, numbers, missed) {
     const baseSize = CONFIG.PEAK_ICON_SIZE;
     const size = Math.round(baseSize * scale);
     const sizeDelta = size - baseSize;
@@ -550,11 +1272,11 @@
           textParts.push('<tspan opacity="0.5">|</tspan>');
         }
       }
-      textElement = `<text x="14" y="${CONFIG.PEAK_TEXT_Y}" text-anchor="middle" font-size="${fontSize}" font-family="-apple-system, BlinkMacSystemFont,'Segoe UI', sans-serif" font-weight="400" fill="${CONFIG.PEAK_TEXT_COLOR}" dominant-baseline="middle" alignment-baseline="middle"${textLengthAttr}>${textParts.join('')}</text>`;
+      textElement = `<text x="14" y="${CONFIG.PEAK_TEXT_Y}" text-anchor="middle" font-size="${fontSize}" font-family="-apple-system, BlinkMacSystemFont,'Segoe UI', sans-serif" font-weight="400" fill="${CONFIG.PEAK_COLOR}" class="mbtour-peak-number" dominant-baseline="middle" alignment-baseline="middle"${textLengthAttr}>${textParts.join('')}</text>`;
     } else {
       // Fallback for single number (legacy support)
       const numberText = numbers ? escapeHtml(numbers) : '';
-      textElement = `<text x="14" y="${CONFIG.PEAK_TEXT_Y}" text-anchor="middle" font-size="${fontSize}" font-family="-apple-system, BlinkMacSystemFont,'Segoe UI', sans-serif" font-weight="400" fill="${CONFIG.PEAK_TEXT_COLOR}" dominant-baseline="middle" alignment-baseline="middle">${numberText}</text>`;
+      textElement = `<text x="14" y="${CONFIG.PEAK_TEXT_Y}" text-anchor="middle" font-size="${fontSize}" font-family="-apple-system, BlinkMacSystemFont,'Segoe UI', sans-serif" font-weight="400" fill="${CONFIG.PEAK_COLOR}" class="mbtour-peak-number" dominant-baseline="middle" alignment-baseline="middle">${numberText}</text>`;
     }
 
     const anchor = [
@@ -573,13 +1295,13 @@
         </filter>
       </defs>
       <g filter="url(#${shadowId})">
-        <path d="M14 2C9.029 2 5 6.029 5 11c0 6.363 7.156 14.482 8.115 15.51a1.2 1.2 0 0 0 1.77 0C15.844 25.482 23 17.363 23 11c0-4.97-4.029-9-9-9Zm0 6.5A2.5 2.5 0 1 1 11.5 11 2.5 2.5 0 0 1 14 8.5Z" fill="#f97316" stroke="#ffffff" stroke-width="2" />
-        <circle cx="14" cy="11" r="${CONFIG.PEAK_BADGE_RADIUS}" fill="${CONFIG.PEAK_BADGE_FILL}" stroke="${CONFIG.PEAK_BADGE_STROKE}" stroke-width="${CONFIG.PEAK_BADGE_STROKE_WIDTH}" />
+        <path d="M14 2C9.029 2 5 6.029 5 11c0 6.363 7.156 14.482 8.115 15.51a1.2 1.2 0 0 0 1.77 0C15.844 25.482 23 17.363 23 11c0-4.97-4.029-9-9-9Zm0 6.5A2.5 2.5 0 1 1 11.5 11 2.5 2.5 0 0 1 14 8.5Z" fill="${CONFIG.PEAK_COLOR}" stroke="#ffffff" stroke-width="2" class="mbtour-peak-pin" />
+        <circle cx="14" cy="11" r="${CONFIG.PEAK_BADGE_RADIUS}" fill="${CONFIG.PEAK_BADGE_FILL}" stroke="${CONFIG.PEAK_BADGE_STROKE}" stroke-width="${CONFIG.PEAK_BADGE_STROKE_WIDTH}" class="mbtour-peak-badge" />
         ${textElement}
       </g>
     </svg>`;
     return L.divIcon({
-      className: 'mbtour-peak-icon',
+      className: missed ? 'mbtour-peak-icon mbtour-peak-missed' : 'mbtour-peak-icon',
       iconSize: [size, size],
       iconAnchor: anchor,
       popupAnchor: popupAnchor,
@@ -588,24 +1310,22 @@
   }
 
   /**
-   * Add peak markers to map
+   * Parse the data-peaks attribute into a list of peaks with valid coordinates
    */
-  function addPeakMarkers(canvas, map) {
-    const peaksRaw = canvas.getAttribute('data-peaks');
+  function parsePeakData(canvas) {
+    const peaksRaw = canvas?.getAttribute('data-peaks');
     if (!peaksRaw) {
-      return;
+      return [];
     }
 
     try {
       const decoded = decodeHTMLEntities(peaksRaw);
       const peaks = JSON.parse(decoded);
+      if (!Array.isArray(peaks)) {
+        return [];
+      }
 
-      // Initialize marker registry for this canvas
-      const markerMap = new Map();
-      peakMarkerRegistry.set(canvas, markerMap);
-
-      // Deduplicate peaks by coordinates, collecting all numbers
-      const peakIndex = Object.create(null);
+      const parsed = [];
       peaks.forEach(peak => {
         if (!peak || !peak.lat || !peak.lng) {
           return;
@@ -619,158 +1339,4952 @@
           return;
         }
 
-        const key = coordKey(lat, lng);
-        if (!peakIndex[key]) {
-          peakIndex[key] = {
-            lat: lat,
-            lng: lng,
-            label: peak.label,
-            numbers: [],
-            count: 0
-          };
-        }
-        peakIndex[key].numbers.push(peak.number || 0);
-        peakIndex[key].count += 1;
-      });
-
-      // Add markers and register them for O(1) lookup
-      Object.keys(peakIndex).forEach(key => {
-        const info = peakIndex[key];
-        const iconScale = info.count > 1 ? CONFIG.PEAK_SCALE_MULTIPLE : 1;
-        const marker = L.marker([info.lat, info.lng], {
-          icon: createPeakIcon(iconScale, info.numbers)
+        const elevation = parseFloat(peak.elevation);
+        parsed.push({
+          lat: lat,
+          lng: lng,
+          label: peak.label,
+          name: peak.name || peak.label,
+          elevation: isNaN(elevation) ? null : elevation,
+          number: peak.number || 0
         });
-        if (info.label) {
-          marker.bindPopup(info.label);
-        }
-        marker.addTo(map);
-
-        // Register marker for fast lookup (O(1) instead of O(n))
-        markerMap.set(key, marker);
       });
+      return parsed;
     } catch (err) {
       console.error('[Tours] Failed to parse peak data', err);
+      return [];
     }
   }
 
-  // ============================================================================
-  // MAP INITIALIZATION
-  // ============================================================================
-
   /**
-   * WeakMap to track initialized maps (prevents race conditions)
+   * Deduplicate peaks by coordinates, collecting all numbers and passes
+   * @returns {Object} Index of coordKey => { lat, lng, label, name, elevation, numbers, passes, count }
    */
-  const initializedMaps = new WeakMap();
+  function groupPeaksByCoordinate(peaks) {
+    const peakIndex = Object.create(null);
+    peaks.forEach(peak => {
+      const key = coordKey(peak.lat, peak.lng);
+      if (!peakIndex[key]) {
+        peakIndex[key] = {
+          lat: peak.lat,
+          lng: peak.lng,
+          label: peak.label,
+          name: peak.name || peak.label,
+          elevation: peak.elevation ?? null,
+          numbers: [],
+          passes: [],
+          count: 0
+        };
+      }
+      peakIndex[key].numbers.push(peak.number);
+      peakIndex[key].passes.push({ number: peak.number, distance: peak.distance, time: peak.time });
+      peakIndex[key].count += 1;
+    });
+    return peakIndex;
+  }
 
   /**
-   * Peak marker registry for O(1) lookup during peak click interactions
-   * Structure: WeakMap<canvas, Map<coordKey, marker>>
+   * Format the track data of a peak: elevation, km along the route and time reached
+   * @returns {Array} [{ key, text }] for the details that are known
    */
-  const peakMarkerRegistry = new WeakMap();
+  function formatPeakDetails(peak, i18n, timeZone) {
+    const details = [];
+    if (typeof peak.elevation === 'number') {
+      details.push({ key: 'elevation', text: `${i18n.number(peak.elevation)} m` });
+    }
+    if (typeof peak.distance === 'number') {
+      details.push({ key: 'distance', text: `${i18n.number(peak.distance / 1000, 1)} km` });
+    }
+    if (peak.time) {
+      details.push({ key: 'time', text: i18n.t('peak_time', { time: i18n.time(peak.time, timeZone) }) });
+    }
+    return details;
+  }
 
   /**
-   * Validate GPX URL to prevent potential XSS
+   * Popup for a peak marker: name and elevation, then distance and time of every pass
    */
-  function isValidGpxUrl(url) {
-    if (!url || typeof url !== 'string') {
-      return false;
-    }
-    // Allow relative URLs and http/https protocols only
-    const trimmed = url.trim();
-    if (trimmed.startsWith('/') || trimmed.startsWith('./') || trimmed.startsWith('../')) {
-      return true;
+  function formatPeakPopup(info, i18n, timeZone, missed) {
+    let popup = `<strong>${escapeHtml(info.name || info.label)}</strong>`;
+    if (typeof info.elevation === 'number') {
+      popup += ` · ${escapeHtml(i18n.number(info.elevation))} m`;
     }
-    try {
-      const parsed = new URL(trimmed, window.location.href);
-      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
-    } catch (err) {
-      return false;
+    if (missed) {
+      return `${popup}<br><em>(${escapeHtml(i18n.t('peak_not_on_track'))})</em>`;
     }
+    (info.passes || []).forEach(pass => {
+      const details = formatPeakDetails({ distance: pass.distance, time: pass.time }, i18n, timeZone);
+      if (details.length) {
+        const prefix = info.passes.length > 1 ? `${pass.number}: ` : '';
+        popup += `<br>${escapeHtml(prefix + details.map(detail => detail.text).join(' · '))}`;
+      }
+    });
+    return popup;
   }
 
   /**
-   * Initialize a single map
+   * Add peak markers to map
+   * Missed peaks (listed, but never passed by the track) get an unnumbered, dimmed marker.
    */
-  function initMap(canvas) {
-    if (!window.L || !canvas) {
+  function addPeakMarkers(canvas, map, peaks, missed, i18n) {
+    const missedPeaks = missed || [];
+    if (!peaks.length && !missedPeaks.length) {
       return;
     }
 
-    // Use WeakMap to prevent race conditions and double initialization
-    if (initializedMaps.has(canvas)) {
-      return;
-    }
-    initializedMaps.set(canvas, true);
+    // Initialize marker registry for this canvas
+    const markerMap = new Map();
+    peakMarkerRegistry.set(canvas, markerMap);
+    const timeZone = canvas.getAttribute('data-tour-timezone');
+
+    missedPeaks.forEach(peak => {
+      const marker = L.marker([peak.lat, peak.lng], {
+        icon: createPeakIcon(1, [], true),
+        title: peak.name || peak.label
+      });
+      marker.bindPopup(formatPeakPopup(peak, i18n, timeZone, true));
+      marker.addTo(map);
+      markerMap.set(coordKey(peak.lat, peak.lng), marker);
+    });
 
-    const gpxUrl = canvas.getAttribute('data-gpx');
-    if (!gpxUrl || !isValidGpxUrl(gpxUrl)) {
-      if (gpxUrl) {
-        console.warn('[Tours] Invalid GPX URL:', gpxUrl);
+    const peakIndex = groupPeaksByCoordinate(peaks);
+
+    // Add markers and register them for O(1) lookup
+    Object.keys(peakIndex).forEach(key => {
+      const info = peakIndex[key];
+      const iconScale = info.count > 1 ? CONFIG.PEAK_SCALE_MULTIPLE : 1;
+      const marker = L.marker([info.lat, info.lng], {
+        icon: createPeakIcon(iconScale, info.numbers),
+        title: info.name || info.label
+      });
+      if (info.label) {
+        marker.bindPopup(formatPeakPopup(info, i18n, timeZone));
       }
-      return;
-    }
+      marker.on('click', () => dispatchTourEvent(canvas, 'peak-select', {
+        peak: { label: info.label, lat: info.lat, lng: info.lng },
+        source: 'marker'
+      }));
+      marker.addTo(map);
+
+      // Register marker for fast lookup (O(1) instead of O(n))
+      markerMap.set(key, marker);
+    });
+  }
+
+  // ============================================================================
+  // PEAK PASSES
+  // ============================================================================
+
+  /**
+   * Distance from a point to a track segment in meters (local flat projection around the point)
+   * @returns {Object} { meters, ratio } - ratio is the position of the closest point on a -> b
+   */
+  function distanceToSegment(point, a, b) {
+    const metersPerLat = 110540;
+    const metersPerLng = 111320 * Math.cos(point.lat * Math.PI / 180);
+    const ax = (a.lng - point.lng) * metersPerLng;
+    const ay = (a.lat - point.lat) * metersPerLat;
+    const dx = (b.lng - a.lng) * metersPerLng;
+    const dy = (b.lat - a.lat) * metersPerLat;
+    const lengthSquared = dx * dx + dy * dy;
+    const ratio = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+    return { meters: Math.hypot(ax + ratio * dx, ay + ratio * dy), ratio: ratio };
+  }
+
+  /**
+   * Find every pass of the track near each listed peak
+   * A pass starts where the track comes within the radius and ends once it is further away than
+   * PEAK_PASS_EXIT_FACTOR times the radius; it is recorded at the closest point.
+   * @returns {Object} { peaks, missed } - peaks holds one entry per pass, numbered in track order,
+   *   with distance (meters along the track) and time (ms, null without timestamps);
+   *   missed holds listed peaks the track never comes near
+   */
+  function computePeakPasses(peaks, lines, radius) {
+    const samples = collectTrackSamples(lines);
+    const groups = groupPeaksByCoordinate(peaks);
+    const passes = [];
+    const missed = [];
+
+    Object.keys(groups).forEach(key => {
+      const peak = groups[key];
+      const found = [];
+      let best = null;
+      let distanceOffset = 0;
+
+      samples.forEach(line => {
+        for (let i = 1; i < line.latLngs.length; i++) {
+          const a = line.latLngs[i - 1];
+          const b = line.latLngs[i];
+          const nearest = distanceToSegment(peak, a, b);
+          if (nearest.meters > radius) {
+            if (best && nearest.meters > radius * CONFIG.PEAK_PASS_EXIT_FACTOR) {
+              found.push(best);
+              best = null;
+            }
+            continue;
+          }
+          if (!best || nearest.meters < best.meters) {
+            const timeA = readPointTime(a);
+            const timeB = readPointTime(b);
+            best = {
+              meters: nearest.meters,
+              distance: distanceOffset + line.distances[i - 1] + nearest.ratio * (line.distances[i] - line.distances[i - 1]),
+              time: isFinite(timeA) && isFinite(timeB) ? Math.round(timeA + nearest.ratio * (timeB - timeA)) : null
+            };
+          }
+        }
+        distanceOffset += line.distances[line.distances.length - 1];
+      });
+      if (best) {
+        found.push(best);
+      }
+
+      if (!found.length) {
+        missed.push({ lat: peak.lat, lng: peak.lng, label: peak.label, name: peak.name, elevation: peak.elevation });
+        return;
+      }
+      found.forEach(pass => passes.push({
+        lat: peak.lat,
+        lng: peak.lng,
+        label: peak.label,
+        name: peak.name,
+        elevation: peak.elevation,
+        distance: pass.distance,
+        time: pass.time
+      }));
+    });
+
+    passes.sort((a, b) => a.distance - b.distance);
+    passes.forEach((pass, index) => {
+      pass.number = index + 1;
+    });
+    return { peaks: passes, missed: missed };
+  }
+
+  /**
+   * Give every listed peak (in list order) the distance and time of its pass;
+   * a peak listed several times takes the passes in track order
+   */
+  function assignPeakPasses(peaks, passes) {
+    const queues = new Map();
+    passes.forEach(pass => {
+      const key = coordKey(pass.lat, pass.lng);
+      if (!queues.has(key)) {
+        queues.set(key, []);
+      }
+      queues.get(key).push(pass);
+    });
+
+    return peaks.map(peak => {
+      const queue = queues.get(coordKey(peak.lat, peak.lng)) || [];
+      const pass = queue.length > 1 ? queue.shift() : queue[0];
+      return Object.assign({}, peak, {
+        distance: pass ? pass.distance : null,
+        time: pass ? pass.time : null
+      });
+    });
+  }
+
+  /**
+   * Replace the contents of a Gipfelbuch row's details with the peak's data
+   */
+  function renderPeakDetails(container, peak, i18n, timeZone) {
+    const fragment = document.createDocumentFragment();
+    formatPeakDetails(peak, i18n, timeZone).forEach(detail => {
+      const span = document.createElement('span');
+      span.className = 'peak-detail';
+      span.setAttribute('data-peak-detail', detail.key);
+      span.textContent = detail.text;
+      fragment.appendChild(span);
+    });
+    container.replaceChildren(fragment);
+  }
+
+  /**
+   * Gipfelbuch entry with a peak button (see handlePeakClick) and its details
+   */
+  function createPeakListItem(canvas, peak, i18n) {
+    const item = document.createElement('li');
+    const name = document.createElement('button');
+    name.type = 'button';
+    name.className = 'peak-name';
+    name.setAttribute('aria-pressed', 'false');
+    if (canvas.id) {
+      name.setAttribute('aria-controls', canvas.id);
+    }
+    name.setAttribute('data-peak-lat', peak.lat);
+    name.setAttribute('data-peak-lng', peak.lng);
+    name.setAttribute('data-peak-label', peak.label);
+    name.textContent = peak.name || peak.label;
+    const details = document.createElement('span');
+    details.className = 'peak-details';
+    renderPeakDetails(details, peak, i18n, canvas.getAttribute('data-tour-timezone'));
+    item.append(name, details);
+    return item;
+  }
+
+  /**
+   * Add distance and time to the server-rendered Gipfelbuch rows, matched by coordinates
+   */
+  function fillPeakListDetails(canvas, peaks, i18n) {
+    const list = canvas.closest('.tour-entry')?.querySelector('.gipfelbuch-list');
+    if (!list) {
+      return;
+    }
+
+    const timeZone = canvas.getAttribute('data-tour-timezone');
+    const queues = new Map();
+    peaks.forEach(peak => {
+      const key = coordKey(peak.lat, peak.lng);
+      if (!queues.has(key)) {
+        queues.set(key, []);
+      }
+      queues.get(key).push(peak);
+    });
+
+    list.querySelectorAll('.peak-name[data-peak-lat]').forEach(name => {
+      const key = coordKey(parseFloat(name.getAttribute('data-peak-lat')), parseFloat(name.getAttribute('data-peak-lng')));
+      const peak = queues.get(key)?.shift();
+      const details = name.parentElement.querySelector('.peak-details');
+      if (peak && details) {
+        renderPeakDetails(details, peak, i18n, timeZone);
+      }
+    });
+  }
+
+  /**
+   * Rewrite the Gipfelbuch in track order: one entry per pass, then missed peaks,
+   * then peaks listed without coordinates
+   */
+  function renumberPeakList(canvas, result, i18n) {
+    const list = canvas.closest('.tour-entry')?.querySelector('.gipfelbuch-list');
+    if (!list) {
+      return;
+    }
+
+    const unplaced = Array.from(list.children).filter(item => !item.querySelector('.peak-name'));
+    const fragment = document.createDocumentFragment();
+    result.peaks.forEach(pass => fragment.appendChild(createPeakListItem(canvas, pass, i18n)));
+    result.missed.forEach(peak => {
+      const item = createPeakListItem(canvas, peak, i18n);
+      item.classList.add('peak-missed');
+      const note = document.createElement('span');
+      note.className = 'peak-missed-note';
+      note.textContent = i18n.t('peak_not_on_track');
+      item.appendChild(note);
+      fragment.appendChild(item);
+    });
+    unplaced.forEach(item => fragment.appendChild(item));
+    list.replaceChildren(fragment);
+  }
+
+  // ============================================================================
+  // WAYPOINTS
+  // ============================================================================
+
+  /**
+   * Waypoint categories, matched against a waypoint's <sym> and <type>
+   * Covers Garmin-style symbol names such as "Summit", "Parking Area" or "Drinking Water".
+   */
+  const WAYPOINT_CATEGORIES = [
+    {
+      key: 'summit',
+      pattern: /summit|peak|gipfel|mountain/i,
+      glyph: '<path d="M3.5 18 10 7l3.2 5.2L15.5 9l5 9Z" />'
+    },
+    {
+      key: 'hut',
+      pattern: /hut|h(ü|ue)tte|lodge|shelter|cabin|alm\b|restaurant/i,
+      glyph: '<path d="M12 4 3.5 11h2.3v8h4.4v-5h3.6v5h4.4v-8h2.3Z" />'
+    },
+    {
+      key: 'parking',
+      pattern: /parking|parkplatz/i,
+      glyph: '<text x="12" y="16.5" text-anchor="middle" font-size="13" font-weight="700" font-family="-apple-system, BlinkMacSystemFont,\'Segoe UI\', sans-serif">P</text>'
+    },
+    {
+      key: 'water',
+      pattern: /water|wasser|drinking|fountain|brunnen|spring|quelle/i,
+      glyph: '<path d="M12 3.5c-3.3 4.4-5.5 7.5-5.5 10.3a5.5 5.5 0 0 0 11 0c0-2.8-2.2-5.9-5.5-10.3Z" />'
+    }
+  ];
+
+  const WAYPOINT_FALLBACK_CATEGORY = {
+    key: 'poi',
+    glyph: '<circle cx="12" cy="12" r="4" />'
+  };
+
+  /**
+   * Read the trimmed text of the first child element with the given tag
+   */
+  function readChildText(element, tagName) {
+    const child = element.getElementsByTagName(tagName)[0];
+    return child?.textContent ? child.textContent.trim() : '';
+  }
+
+  /**
+   * Resolve the category of a waypoint from its symbol, then its type
+   */
+  function classifyWaypoint(sym, type) {
+    const candidates = [sym, type].filter(Boolean);
+    for (let i = 0; i < candidates.length; i++) {
+      const category = WAYPOINT_CATEGORIES.find(entry => entry.pattern.test(candidates[i]));
+      if (category) {
+        return category;
+      }
+    }
+    return WAYPOINT_FALLBACK_CATEGORY;
+  }
+
+  /**
+   * Parse <wpt> elements from a loaded GPX document
+   * @returns {Array} [{ lat, lng, name, description, ele, category }]
+   */
+  function parseWaypoints(gpxDocument) {
+    if (!gpxDocument || typeof gpxDocument.getElementsByTagName !== 'function') {
+      return [];
+    }
+
+    const waypoints = [];
+    const elements = gpxDocument.getElementsByTagName('wpt');
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
+      const lat = parseFloat(element.getAttribute('lat'));
+      const lng = parseFloat(element.getAttribute('lon'));
+      if (!isValidCoordinate(lat, lng)) {
+        console.warn('[Tours] Invalid coordinates for waypoint:', readChildText(element, 'name'));
+        continue;
+      }
+      const ele = parseFloat(readChildText(element, 'ele'));
+      waypoints.push({
+        lat: lat,
+        lng: lng,
+        name: readChildText(element, 'name'),
+        description: readChildText(element, 'desc') || readChildText(element, 'cmt'),
+        ele: isFinite(ele) ? ele : null,
+        category: classifyWaypoint(readChildText(element, 'sym'), readChildText(element, 'type'))
+      });
+    }
+    return waypoints;
+  }
+
+  /**
+   * Create a round POI icon for a waypoint category (colors come from the stylesheet)
+   */
+  function createWaypointIcon(category) {
+    const size = CONFIG.WAYPOINT_ICON_SIZE;
+    return L.divIcon({
+      className: `mbtour-waypoint-icon mbtour-waypoint-${category.key}`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+      popupAnchor: [0, -size / 2],
+      html: `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" aria-hidden="true">${category.glyph}</svg>`
+    });
+  }
+
+  /**
+   * Format a waypoint as a peak label, matching the "Name (1940m)" style of the peaks parameter
+   */
+  function formatWaypointLabel(waypoint, i18n) {
+    const name = waypoint.name || i18n.t('waypoint_' + waypoint.category.key);
+    if (waypoint.ele === null) {
+      return name;
+    }
+    return `${name} (${i18n.number(waypoint.ele, 0)}m)`;
+  }
+
+  /**
+   * Turn summit waypoints into peaks, numbered in the order they are reached on the track
+   */
+  function deriveWaypointPeaks(waypoints, lines, i18n) {
+    const summits = waypoints.filter(waypoint => waypoint.category.key === 'summit');
+    if (!summits.length) {
+      return [];
+    }
+
+    const trackPoints = [];
+    lines.forEach(line => {
+      if (line && typeof line.getLatLngs === 'function') {
+        collectLatLngs(getTrackLatLngs(line), trackPoints);
+      }
+    });
+
+    return summits
+      .map((waypoint, index) => ({
+        waypoint: waypoint,
+        order: trackPoints.length ? findNearestPointIndex(trackPoints, waypoint) : index
+      }))
+      .sort((a, b) => a.order - b.order)
+      .map((entry, index) => ({
+        lat: entry.waypoint.lat,
+        lng: entry.waypoint.lng,
+        label: formatWaypointLabel(entry.waypoint, i18n),
+        name: entry.waypoint.name || i18n.t('waypoint_summit'),
+        // Whole meters like the label; only elevations the author wrote keep their decimals
+        elevation: entry.waypoint.ele === null ? null : Math.round(entry.waypoint.ele),
+        number: index + 1
+      }));
+  }
+
+  /**
+   * Fill the Gipfelbuch placeholder of a tour with peaks derived from waypoints
+   */
+  function fillWaypointPeakList(canvas, peaks, i18n) {
+    const container = canvas.closest('.tour-entry')?.querySelector('[data-tour-waypoint-peaks]');
+    const list = container?.querySelector('.gipfelbuch-list');
+    if (!list || !peaks.length) {
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    peaks.forEach(peak => fragment.appendChild(createPeakListItem(canvas, peak, i18n)));
+    list.replaceChildren(fragment);
+    container.hidden = false;
+  }
+
+  /**
+   * Add POI markers for GPX waypoints
+   * Summit waypoints that coincide with a peak marker are skipped.
+   */
+  function addWaypointMarkers(map, waypoints, peaks, i18n) {
+    const peakLatLngs = peaks.map(peak => L.latLng(peak.lat, peak.lng));
+
+    waypoints.forEach(waypoint => {
+      const latLng = L.latLng(waypoint.lat, waypoint.lng);
+      if (waypoint.category.key === 'summit' &&
+          peakLatLngs.some(peakLatLng => peakLatLng.distanceTo(latLng) <= CONFIG.WAYPOINT_PEAK_MATCH_METERS)) {
+        return;
+      }
+
+      const typeLabel = i18n.t('waypoint_' + waypoint.category.key);
+      const title = waypoint.name || typeLabel;
+      let popup = `<strong>${escapeHtml(title)}</strong>`;
+      if (waypoint.name) {
+        popup += `<br><span class="mbtour-waypoint-type">${escapeHtml(typeLabel)}</span>`;
+      }
+      if (waypoint.ele !== null) {
+        popup += ` · ${escapeHtml(i18n.number(waypoint.ele, 0))} m`;
+      }
+      if (waypoint.description) {
+        popup += `<br>${escapeHtml(waypoint.description)}`;
+      }
+
+      L.marker(latLng, {
+        icon: createWaypointIcon(waypoint.category),
+        title: title,
+        alt: title,
+        keyboard: false
+      })
+        .bindPopup(popup)
+        .addTo(map);
+    });
+  }
+
+  // ============================================================================
+  // ELEVATION PROFILE
+  // ============================================================================
+
+  /**
+   * Read profile points from one loaded GPX layer
+   *
+   * Combines get_elevation_data() (distance/elevation per track point) with the
+   * track line coordinates so every profile point can be located on the map.
+   */
+  function readProfilePoints(gpxLayer, lines, distanceOffset, points) {
+    if (!gpxLayer || typeof gpxLayer.get_elevation_data !== 'function' || !lines || !lines.length) {
+      return;
+    }
+
+    const latLngs = [];
+    lines.forEach(line => {
+      if (line && typeof line.getLatLngs === 'function') {
+        collectLatLngs(getTrackLatLngs(line), latLngs);
+      }
+    });
+
+    let elevationData;
+    try {
+      elevationData = gpxLayer.get_elevation_data();
+    } catch (err) {
+      console.warn('[Tours] Failed to read elevation data', err);
+      return;
+    }
+    if (!Array.isArray(elevationData)) {
+      return;
+    }
+
+    const count = Math.min(latLngs.length, elevationData.length);
+    for (let i = 0; i < count; i++) {
+      const ele = elevationData[i][1];
+      if (typeof ele !== 'number' || !isFinite(ele)) {
+        continue;
+      }
+      points.push({
+        lat: latLngs[i].lat,
+        lng: latLngs[i].lng,
+        ele: ele,
+        distance: distanceOffset + elevationData[i][0] * 1000
+      });
+    }
+  }
+
+  /**
+   * Build elevation profile data for the days of a tour, one after another
+   * @returns {Object|null} { points: [{ lat, lng, ele, distance }], totalDistance, minEle, maxEle }
+   */
+  function buildElevationProfile(days) {
+    const points = [];
+    let distanceOffset = 0;
+    days.forEach(day => {
+      readProfilePoints(day.layer, day.lines, distanceOffset, points);
+      distanceOffset += (day.stats.distance || 0) * 1000;
+    });
+
+    let minEle = Infinity;
+    let maxEle = -Infinity;
+    points.forEach(point => {
+      minEle = Math.min(minEle, point.ele);
+      maxEle = Math.max(maxEle, point.ele);
+    });
+
+    if (points.length < 2) {
+      return null;
+    }
+
+    return {
+      points: points,
+      totalDistance: points[points.length - 1].distance,
+      minEle: minEle,
+      maxEle: maxEle
+    };
+  }
+
+  /**
+   * Find the profile point closest to a distance along the track (binary search)
+   */
+  function findProfileIndexByDistance(profile, distance) {
+    const points = profile.points;
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].distance < distance) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    if (low > 0 && distance - points[low - 1].distance < points[low].distance - distance) {
+      return low - 1;
+    }
+    return low;
+  }
+
+  /**
+   * Find the index of the point closest to a map position
+   * Uses an equirectangular approximation, which is plenty for nearest-point search.
+   */
+  function findNearestPointIndex(points, latLng) {
+    const lngScale = Math.cos(latLng.lat * DEG_TO_RAD);
+    let bestIndex = -1;
+    let bestDistance = Infinity;
+    for (let i = 0; i < points.length; i++) {
+      const dLat = points[i].lat - latLng.lat;
+      const dLng = (points[i].lng - latLng.lng) * lngScale;
+      const distance = dLat * dLat + dLng * dLng;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = i;
+      }
+    }
+    return bestIndex;
+  }
+
+  /**
+   * Compute the elevation range shown on the profile's y axis
+   */
+  function getProfileElevationRange(profile) {
+    let min = profile.minEle;
+    let max = profile.maxEle;
+    const missing = CONFIG.PROFILE_MIN_ELEVATION_RANGE - (max - min);
+    if (missing > 0) {
+      min -= missing / 2;
+      max += missing / 2;
+    }
+    const padding = (max - min) * 0.08;
+    return { min: min - padding, max: max + padding };
+  }
+
+  /**
+   * Build SVG path data for the profile line and filled area
+   */
+  function buildProfilePaths(profile, range) {
+    const width = CONFIG.PROFILE_VIEWBOX_WIDTH;
+    const height = CONFIG.PROFILE_VIEWBOX_HEIGHT;
+    const points = profile.points;
+    const step = Math.max(1, Math.ceil(points.length / CONFIG.PROFILE_MAX_PATH_POINTS));
+    const total = profile.totalDistance || 1;
+    const span = range.max - range.min || 1;
+
+    const coords = [];
+    for (let i = 0; i < points.length; i += step) {
+      coords.push(points[i]);
+    }
+    if (coords[coords.length - 1] !== points[points.length - 1]) {
+      coords.push(points[points.length - 1]);
+    }
+
+    const segments = coords.map((point, i) => {
+      const x = (point.distance / total) * width;
+      const y = height - ((point.ele - range.min) / span) * height;
+      return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const line = segments.join(' ');
+    return {
+      line: line,
+      area: `${line} L${width},${height} L0,${height} Z`
+    };
+  }
+
+  /**
+   * Convert a profile point into percentage offsets within the chart
+   */
+  function getProfilePointPosition(profile, range, point) {
+    const total = profile.totalDistance || 1;
+    const span = range.max - range.min || 1;
+    return {
+      left: (point.distance / total) * 100,
+      bottom: ((point.ele - range.min) / span) * 100
+    };
+  }
+
+  /**
+   * Format a profile point for the hover readout
+   */
+  function formatProfilePoint(point, i18n) {
+    return `${i18n.number(point.distance / 1000, 1)} km · ${i18n.number(point.ele, 0)} m`;
+  }
+
+  /**
+   * Annotate numbered peaks on the profile chart
+   * Peaks are placed at the closest track point; peaks far away from the track are skipped.
+   */
+  function addProfilePeaks(chart, profile, range, peaks) {
+    const peakIndex = groupPeaksByCoordinate(peaks);
+    Object.keys(peakIndex).forEach(key => {
+      const info = peakIndex[key];
+      const index = findNearestPointIndex(profile.points, info);
+      if (index < 0) {
+        return;
+      }
+      const point = profile.points[index];
+      if (distanceBetween(point, info) > CONFIG.PROFILE_PEAK_MAX_OFFSET_METERS) {
+        return;
+      }
+
+      const position = getProfilePointPosition(profile, range, point);
+      const badge = document.createElement('span');
+      badge.className = 'tour-profile-peak';
+      badge.style.left = `${position.left}%`;
+      badge.style.bottom = `${position.bottom}%`;
+      badge.textContent = info.numbers.join('|');
+      if (info.label) {
+        badge.title = info.label;
+      }
+      chart.appendChild(badge);
+    });
+  }
+
+  /**
+   * Render the elevation profile panel below the map canvas
+   * @returns {Object} Controller with showAt(index) and hide()
+   */
+  function renderElevationProfile(canvas, profile, peaks, i18n) {
+    const range = getProfileElevationRange(profile);
+    const paths = buildProfilePaths(profile, range);
+    const width = CONFIG.PROFILE_VIEWBOX_WIDTH;
+    const height = CONFIG.PROFILE_VIEWBOX_HEIGHT;
+
+    const panel = document.createElement('div');
+    panel.className = 'tour-profile';
+    panel.innerHTML = `<div class="tour-profile-chart">
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+          <path class="tour-profile-area" d="${paths.area}" />
+          <path class="tour-profile-line" d="${paths.line}" vector-effect="non-scaling-stroke" />
+        </svg>
+        <span class="tour-profile-axis tour-profile-axis-max">${i18n.number(profile.maxEle, 0)} m</span>
+        <span class="tour-profile-axis tour-profile-axis-min">${i18n.number(profile.minEle, 0)} m</span>
+        <div class="tour-profile-cursor" hidden>
+          <span class="tour-profile-cursor-dot"></span>
+        </div>
+        <span class="tour-profile-readout" hidden></span>
+      </div>
+      <div class="tour-profile-distance">
+        <span>0 km</span>
+        <span>${i18n.number(profile.totalDistance / 1000, 1)} km</span>
+      </div>`;
+
+    const chart = panel.querySelector('.tour-profile-chart');
+    const cursor = panel.querySelector('.tour-profile-cursor');
+    const cursorDot = panel.querySelector('.tour-profile-cursor-dot');
+    const readout = panel.querySelector('.tour-profile-readout');
+
+    if (peaks.length) {
+      addProfilePeaks(chart, profile, range, peaks);
+    }
+
+    canvas.insertAdjacentElement('afterend', panel);
+
+    return {
+      element: panel,
+      chart: chart,
+      showAt(index) {
+        const point = profile.points[index];
+        if (!point) {
+          return;
+        }
+        const position = getProfilePointPosition(profile, range, point);
+        cursor.style.left = `${position.left}%`;
+        cursorDot.style.bottom = `${position.bottom}%`;
+        readout.textContent = formatProfilePoint(point, i18n);
+        // Keep the readout inside the chart near the edges
+        readout.style.left = `${Math.min(Math.max(position.left, 12), 88)}%`;
+        cursor.hidden = false;
+        readout.hidden = false;
+      },
+      hide() {
+        cursor.hidden = true;
+        readout.hidden = true;
+      }
+    };
+  }
+
+  /**
+   * Create the marker that follows the profile cursor on the map
+   */
+  function createTrackCursor(map) {
+    const theme = readTheme(map.getContainer());
+    let marker = null;
+    return {
+      moveTo(point) {
+        if (!marker) {
+          marker = L.circleMarker([point.lat, point.lng], {
+            radius: CONFIG.CURSOR_RADIUS,
+            color: theme.cursorBorder,
+            weight: CONFIG.CURSOR_BORDER_WEIGHT,
+            fillColor: theme.cursor,
+            fillOpacity: 1,
+            interactive: false
+          }).addTo(map);
+        } else {
+          marker.setLatLng([point.lat, point.lng]);
+        }
+      },
+      hide() {
+        if (marker) {
+          map.removeLayer(marker);
+          marker = null;
+        }
+      }
+    };
+  }
+
+  /**
+   * Add an elevation profile to a map and link both directions of hover interaction
+   */
+  function addElevationProfile(canvas, map, days, peaks, i18n) {
+    const profile = buildElevationProfile(days);
+    if (!profile) {
+      return null;
+    }
+
+    const view = renderElevationProfile(canvas, profile, peaks, i18n);
+    const trackCursor = createTrackCursor(map);
+
+    function showIndex(index) {
+      const point = profile.points[index];
+      if (!point) {
+        return;
+      }
+      view.showAt(index);
+      trackCursor.moveTo(point);
+    }
+
+    function hideCursor() {
+      view.hide();
+      trackCursor.hide();
+    }
+
+    // Profile -> map: hover or drag along the chart
+    function handleChartPointer(event) {
+      const rect = view.chart.getBoundingClientRect();
+      if (!rect.width) {
+        return;
+      }
+      const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+      showIndex(findProfileIndexByDistance(profile, ratio * profile.totalDistance));
+    }
+
+    view.chart.addEventListener('pointerdown', handleChartPointer);
+    view.chart.addEventListener('pointermove', handleChartPointer);
+    view.chart.addEventListener('pointerleave', hideCursor);
+
+    // Map -> profile: hover near the track
+    map.on('mousemove', e => {
+      const index = findNearestPointIndex(profile.points, e.latlng);
+      const point = profile.points[index];
+      if (!point) {
+        return;
+      }
+      const pixelDistance = map.latLngToContainerPoint([point.lat, point.lng]).distanceTo(e.containerPoint);
+      if (pixelDistance <= CONFIG.PROFILE_HOVER_TOLERANCE_PX) {
+        showIndex(index);
+      } else {
+        hideCursor();
+      }
+    });
+    map.on('mouseout', hideCursor);
+    map.on('unload', () => view.element.remove());
+
+    return profile;
+  }
+
+  // ============================================================================
+  // TOUR STATISTICS
+  // ============================================================================
+
+  /**
+   * Formatters for derived statistics, keyed like the data-tour-stat cards
+   */
+  const STAT_FORMATTERS = {
+    distance: (value, i18n) => i18n.number(value, 2),
+    elevation: (value, i18n) => i18n.number(value, 0),
+    max_height: (value, i18n) => i18n.number(value, 0),
+    duration: (value, i18n) => i18n.number(value, 2),
+    estimate: (value, i18n) => `≈ ${i18n.number(value, 1)}`
+  };
+
+  /**
+   * Read a numeric statistic from the GPX layer, returning null when unavailable
+   */
+  function readGpxStat(gpxLayer, getter) {
+    if (!gpxLayer || typeof gpxLayer[getter] !== 'function') {
+      return null;
+    }
+    try {
+      const value = gpxLayer[getter]();
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    } catch (err) {
+      console.warn(`[Tours] Failed to read ${getter} from GPX`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Speeds for the time estimate of a tour: the model of its type, tuned by the site
+   * data-estimate-speeds holds "km/h on the flat, m/h up, m/h down" from plugin.json.
+   */
+  function readEstimateModel(canvas) {
+    // Lowercased like the template, which reads the site-tuned speeds of the same type
+    const type = String(canvas.closest('.tour-entry')?.getAttribute('data-tour-type') || '').trim().toLowerCase();
+    const model = Object.prototype.hasOwnProperty.call(CONFIG.ESTIMATE_MODELS, type)
+      ? CONFIG.ESTIMATE_MODELS[type]
+      : CONFIG.ESTIMATE_MODELS.hike;
+    const tuned = String(canvas.getAttribute('data-estimate-speeds') || '').split(',').map(parseFloat);
+    return {
+      formula: model.formula,
+      speed: tuned[0] > 0 ? tuned[0] : model.speed,
+      ascent: tuned[1] > 0 ? tuned[1] : model.ascent,
+      descent: tuned[2] >= 0 ? tuned[2] : model.descent
+    };
+  }
+
+  /**
+   * Estimated duration in hours from distance, ascent and descent
+   * 'din' is the DIN 33466 / Alpine club rule: the larger of the horizontal and vertical
+   * times plus half the smaller one. 'sum' adds both, for runs and rides where climbing
+   * costs time on top of the distance. A descent rate of 0 means descending is free.
+   */
+  function estimateDuration(distance, ascent, descent, model) {
+    if (!(distance > 0)) {
+      return null;
+    }
+    const horizontal = distance / model.speed;
+    const vertical = (ascent || 0) / model.ascent + (model.descent > 0 ? (descent || 0) / model.descent : 0);
+    return model.formula === 'din'
+      ? Math.max(horizontal, vertical) + Math.min(horizontal, vertical) / 2
+      : horizontal + vertical;
+  }
+
+  /**
+   * Derive tour statistics from a loaded GPX layer
+   * @param {Object} [estimateModel] - From readEstimateModel(); without it no estimate is made
+   * @returns {Object} { distance (km), elevation (m), max_height (m), duration (h), estimate (h) } - null if unavailable
+   */
+  function getTrackStatistics(gpxLayer, estimateModel) {
+    const distance = readGpxStat(gpxLayer, 'get_distance');
+    const elevationGain = readGpxStat(gpxLayer, 'get_elevation_gain');
+    const elevationLoss = readGpxStat(gpxLayer, 'get_elevation_loss');
+    const elevationMax = readGpxStat(gpxLayer, 'get_elevation_max');
+    const movingTime = readGpxStat(gpxLayer, 'get_moving_time');
+    // leaflet-gpx reports a max of 0 when the track has no elevation data
+    const hasElevation = readGpxStat(gpxLayer, 'get_elevation_min') !== null;
+
+    return {
+      distance: distance > 0 ? distance / 1000 : null,
+      elevation: hasElevation && elevationGain > 0 ? elevationGain : null,
+      max_height: hasElevation && elevationMax > 0 ? elevationMax : null,
+      duration: movingTime > 0 ? movingTime / 3600000 : null,
+      estimate: estimateModel && distance > 0
+        ? estimateDuration(distance / 1000, hasElevation ? elevationGain : 0, hasElevation ? elevationLoss : 0, estimateModel)
+        : null
+    };
+  }
+
+  /**
+   * Add up the statistics of several days; a total is only given when every day has the value
+   */
+  function sumTrackStatistics(statsList) {
+    const total = {};
+    Object.keys(STAT_FORMATTERS).forEach(key => {
+      const values = statsList.map(stats => stats[key]);
+      if (!values.length || values.some(value => value === null)) {
+        total[key] = null;
+      } else if (key === 'max_height') {
+        total[key] = Math.max.apply(null, values);
+      } else {
+        total[key] = values.reduce((sum, value) => sum + value, 0);
+      }
+    });
+    return total;
+  }
+
+  /**
+   * Fill missing stat cards from the GPX track and warn about stale author values
+   */
+  function fillTourStatistics(canvas, stats, i18n) {
+    const grid = canvas.closest('.tour-entry')?.querySelector('.tour-stats-grid');
+    if (!grid) {
+      return;
+    }
+
+    grid.querySelectorAll('[data-tour-stat]').forEach(card => {
+      const key = card.getAttribute('data-tour-stat');
+      const computed = stats[key];
+      if (computed === null || computed === undefined || !STAT_FORMATTERS[key]) {
+        return;
+      }
+
+      const authorValue = parseFloat(card.getAttribute('data-tour-stat-value'));
+      if (isFinite(authorValue) && authorValue > 0) {
+        const difference = Math.abs(authorValue - computed) / computed;
+        if (difference > CONFIG.STAT_MISMATCH_TOLERANCE[key]) {
+          console.warn(`[Tours] Shortcode value for "${key}" (${authorValue}) differs from GPX track (${computed.toFixed(2)}) by ${Math.round(difference * 100)}%`, canvas.getAttribute('data-gpx'));
+        }
+        return;
+      }
+
+      const valueElement = card.querySelector('.tour-stat-value');
+      if (valueElement) {
+        valueElement.textContent = STAT_FORMATTERS[key](computed, i18n);
+        card.setAttribute('data-tour-stat-source', 'gpx');
+        card.hidden = false;
+      }
+    });
+  }
+
+  // ============================================================================
+  // DIFFICULTY
+  // ============================================================================
+
+  /**
+   * Elevation of a track point, NaN when it has none
+   */
+  function readPointElevation(latLng) {
+    const ele = latLng.meta?.ele;
+    return typeof ele === 'number' ? ele : NaN;
+  }
+
+  /**
+   * Resample one line at DIFFICULTY_STEP_METERS, with elevations smoothed over DIFFICULTY_SMOOTH_METERS
+   * @returns {Array|null} [{ lat, lng, ele, distance }] - null when too few points have an elevation
+   */
+  function resampleTrackElevation(samples) {
+    const known = [];
+    samples.latLngs.forEach((latLng, index) => {
+      const ele = readPointElevation(latLng);
+      if (isFinite(ele)) {
+        known.push({ lat: latLng.lat, lng: latLng.lng, ele: ele, distance: samples.distances[index] });
+      }
+    });
+    if (known.length < 2 || known.length < samples.latLngs.length * CONFIG.COLOR_MIN_COVERAGE) {
+      return null;
+    }
+
+    const step = CONFIG.DIFFICULTY_STEP_METERS;
+    const start = known[0].distance;
+    const end = known[known.length - 1].distance;
+    const points = [];
+    let index = 0;
+    for (let distance = start; distance <= end; distance += step) {
+      while (index < known.length - 2 && known[index + 1].distance < distance) {
+        index++;
+      }
+      const a = known[index];
+      const b = known[index + 1];
+      const span = b.distance - a.distance;
+      const t = span > 0 ? Math.min(Math.max((distance - a.distance) / span, 0), 1) : 0;
+      points.push({
+        lat: a.lat + (b.lat - a.lat) * t,
+        lng: a.lng + (b.lng - a.lng) * t,
+        ele: a.ele + (b.ele - a.ele) * t,
+        distance: distance
+      });
+    }
+
+    // Moving average over prefix sums
+    const half = Math.round(CONFIG.DIFFICULTY_SMOOTH_METERS / step / 2);
+    const sums = [0];
+    points.forEach(point => sums.push(sums[sums.length - 1] + point.ele));
+    const smoothed = points.map((point, i) => {
+      const from = Math.max(i - half, 0);
+      const to = Math.min(i + half, points.length - 1);
+      return (sums[to + 1] - sums[from]) / (to - from + 1);
+    });
+    points.forEach((point, i) => {
+      point.ele = smoothed[i];
+    });
+    return points;
+  }
+
+  /**
+   * Analyse the steepness of a tour
+   * @returns {Object|null} { total, up, down, climb, steepest, steep } - up and down hold the
+   *   meters per gradient band (see DIFFICULTY_BANDS); climb and steepest are sections with
+   *   latLngs, steep lists the stretches above DIFFICULTY_STEEP_GRADIENT. Null without elevations.
+   */
+  function analyseTrackDifficulty(lines) {
+    const bands = CONFIG.DIFFICULTY_BANDS;
+    const windowSize = Math.max(1, Math.round(CONFIG.DIFFICULTY_STEEP_WINDOW_METERS / CONFIG.DIFFICULTY_STEP_METERS));
+    const result = {
+      total: 0,
+      up: new Array(bands.length + 1).fill(0),
+      down: new Array(bands.length + 1).fill(0),
+      climb: null,
+      steepest: null,
+      steep: []
+    };
+
+    collectTrackSamples(lines).forEach(samples => {
+      const points = resampleTrackElevation(samples);
+      if (!points) {
+        return;
+      }
+
+      for (let i = 1; i < points.length; i++) {
+        const length = points[i].distance - points[i - 1].distance;
+        const gradient = (points[i].ele - points[i - 1].ele) / length * 100;
+        let band = 0;
+        while (band < bands.length && Math.abs(gradient) >= bands[band]) {
+          band++;
+        }
+        (gradient >= 0 ? result.up : result.down)[band] += length;
+        result.total += length;
+      }
+
+      // Steepest window, and overlapping steep windows merged into stretches
+      let stretch = null;
+      const closeStretch = () => {
+        result.steep.push({ gradient: stretch.gradient, latLngs: points.slice(stretch.from, stretch.to + 1) });
+        stretch = null;
+      };
+      for (let i = 0; i + windowSize < points.length; i++) {
+        const gradient = (points[i + windowSize].ele - points[i].ele) /
+          (points[i + windowSize].distance - points[i].distance) * 100;
+        if (!result.steepest || Math.abs(gradient) > Math.abs(result.steepest.gradient)) {
+          result.steepest = { gradient: gradient, latLngs: points.slice(i, i + windowSize + 1) };
+        }
+        if (Math.abs(gradient) < CONFIG.DIFFICULTY_STEEP_GRADIENT) {
+          continue;
+        }
+        if (stretch && i > stretch.to) {
+          closeStretch();
+        }
+        if (!stretch) {
+          stretch = { from: i, to: i + windowSize, gradient: 0 };
+        }
+        stretch.to = i + windowSize;
+        stretch.gradient = Math.max(stretch.gradient, Math.abs(gradient));
+      }
+      if (stretch) {
+        closeStretch();
+      }
+
+      // A climb runs from a low point to the highest point before the track drops by more than the dip
+      let foot = 0;
+      let top = 0;
+      const closeClimb = () => {
+        const length = points[top].distance - points[foot].distance;
+        const gain = points[top].ele - points[foot].ele;
+        if (gain / length * 100 >= CONFIG.DIFFICULTY_CLIMB_MIN_GRADIENT && (!result.climb || length > result.climb.length)) {
+          result.climb = { length: length, gain: gain, latLngs: points.slice(foot, top + 1) };
+        }
+      };
+      for (let i = 1; i < points.length; i++) {
+        if (points[i].ele >= points[top].ele) {
+          top = i;
+        } else if (top === foot) {
+          foot = i;
+          top = i;
+        } else if (points[top].ele - points[i].ele > CONFIG.DIFFICULTY_CLIMB_DIP_METERS) {
+          closeClimb();
+          foot = i;
+          top = i;
+        }
+      }
+      if (top > foot) {
+        closeClimb();
+      }
+    });
+
+    return result.total > 0 ? result : null;
+  }
+
+  /**
+   * Overall grade from 1 (easy) to 4 (very difficult)
+   * The mean of an effort class, from the estimated time of the longest day, and a steepness
+   * class, from the steepest window (see DIFFICULTY_EFFORT_HOURS and DIFFICULTY_STEEPNESS_GRADIENT).
+   */
+  function gradeTrackDifficulty(analysis, days) {
+    const classify = (value, limits) => limits.filter(limit => value >= limit).length;
+    const longestDay = Math.max(0, ...days.map(day => day.stats.estimate || 0));
+    const effort = classify(longestDay, CONFIG.DIFFICULTY_EFFORT_HOURS);
+    const steepness = analysis.steepest ? classify(Math.abs(analysis.steepest.gradient), CONFIG.DIFFICULTY_STEEPNESS_GRADIENT) : 0;
+    return Math.round((effort + steepness) / 2) + 1;
+  }
+
+  /**
+   * Fill the difficulty card at the end of the stats grid
+   * The card holds the author's rating (rendered by the shortcode) next to the computed grade,
+   * a steepness histogram, the longest climb and the steepest window.
+   * @param {L.Evented} lifecycle - Fires 'unload' when the tour is torn down (see loadTourDetails())
+   */
+  function addDifficultyCard(canvas, lifecycle, days, trackLines, i18n) {
+    const container = canvas.closest('.tour-entry')?.querySelector('[data-tour-difficulty]');
+    const output = container?.querySelector('[data-tour-difficulty-analysis]');
+    if (!output) {
+      return null;
+    }
+    const analysis = analyseTrackDifficulty(trackLines);
+    if (!analysis) {
+      return null;
+    }
+
+    const grade = gradeTrackDifficulty(analysis, days);
+    const computed = document.createElement('div');
+    computed.className = 'tour-difficulty-grade';
+    computed.setAttribute('data-tour-difficulty-grade', String(grade));
+    computed.innerHTML = `<dt>${escapeHtml(i18n.t('difficulty_computed'))}</dt>
+      <dd>${escapeHtml(i18n.t('difficulty_grade_' + grade))}</dd>`;
+    container.querySelector('.tour-difficulty-grades')?.prepend(computed);
+
+    const bands = CONFIG.DIFFICULTY_BANDS;
+    const largest = Math.max(...analysis.up, ...analysis.down);
+    const share = meters => `<span class="tour-difficulty-share">
+        <span class="tour-difficulty-bar" style="--tour-difficulty-share: ${(meters / largest).toFixed(3)}" aria-hidden="true"></span>
+        ${escapeHtml(i18n.number(meters / analysis.total * 100, 0))} %
+      </span>`;
+    const rows = analysis.up.map((meters, band) => {
+      const label = band < bands.length
+        ? `${i18n.number(band ? bands[band - 1] : 0)}–${i18n.number(bands[band])} %`
+        : `≥ ${i18n.number(bands[band - 1])} %`;
+      return `<tr>
+          <th scope="row">${escapeHtml(label)}</th>
+          <td>${share(meters)}</td>
+          <td>${share(analysis.down[band])}</td>
+        </tr>`;
+    }).join('');
+
+    const sections = {};
+    const fact = (key, label, value, section) => {
+      sections[key] = section;
+      return `<div>
+          <dt>${escapeHtml(label)}</dt>
+          <dd>${escapeHtml(value)}
+            <button type="button" class="tour-difficulty-show" data-tour-difficulty-show="${key}">${escapeHtml(i18n.t('difficulty_show'))}</button>
+          </dd>
+        </div>`;
+    };
+    const climb = analysis.climb;
+    const steepest = analysis.steepest;
+    const facts = [
+      climb ? fact('climb', i18n.t('difficulty_longest_climb'), i18n.t('difficulty_climb_value', {
+        distance: i18n.number(climb.length / 1000, 1),
+        ascent: i18n.number(climb.gain, 0),
+        gradient: i18n.number(climb.gain / climb.length * 100, 0)
+      }), climb) : '',
+      steepest ? fact('steepest', i18n.t('difficulty_steepest'), i18n.t(steepest.gradient >= 0 ? 'difficulty_steepest_up' : 'difficulty_steepest_down', {
+        gradient: i18n.number(Math.abs(steepest.gradient), 0)
+      }), steepest) : ''
+    ].join('');
+
+    output.innerHTML = `<table class="tour-difficulty-histogram">
+        <caption>${escapeHtml(i18n.t('difficulty_steepness'))}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${escapeHtml(i18n.t('difficulty_band'))}</th>
+            <th scope="col">${escapeHtml(i18n.t('difficulty_up'))}</th>
+            <th scope="col">${escapeHtml(i18n.t('difficulty_down'))}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${facts ? `<dl class="tour-difficulty-facts">${facts}</dl>` : ''}`;
+
+    function handleShowClick(event) {
+      const button = event.target.closest?.('[data-tour-difficulty-show]');
+      const section = button ? sections[button.getAttribute('data-tour-difficulty-show')] : null;
+      if (section) {
+        withMapState(canvas, mapState => mapState.map.flyToBounds(L.latLngBounds(section.latLngs), {
+          duration: 0.8,
+          easeLinearity: 0.25
+        }));
+      }
+    }
+
+    const wasHidden = container.hidden;
+    output.addEventListener('click', handleShowClick);
+    lifecycle.on('unload', () => {
+      output.removeEventListener('click', handleShowClick);
+      output.replaceChildren();
+      output.hidden = true;
+      computed.remove();
+      container.hidden = wasHidden;
+    });
+    output.hidden = false;
+    container.hidden = false;
+
+    return { grade: grade, analysis: analysis };
+  }
+
+  /**
+   * Mark the steep stretches of an analysed track on the map
+   * @param {Object} difficulty - { grade, analysis } from addDifficultyCard()
+   */
+  function addDifficultyMarks(map, difficulty, i18n) {
+    const analysis = difficulty.analysis;
+    // The steepest window is marked even below DIFFICULTY_STEEP_GRADIENT, once it is steep enough to raise the grade
+    const marked = analysis.steep.slice();
+    const steepest = analysis.steepest;
+    const gradient = steepest ? Math.abs(steepest.gradient) : 0;
+    if (gradient >= CONFIG.DIFFICULTY_STEEPNESS_GRADIENT[0] && gradient < CONFIG.DIFFICULTY_STEEP_GRADIENT) {
+      marked.push({ gradient: gradient, latLngs: steepest.latLngs });
+    }
+    L.featureGroup(marked.map(stretch => L.polyline(stretch.latLngs, {
+      color: CONFIG.DIFFICULTY_COLOR,
+      weight: CONFIG.DIFFICULTY_WEIGHT,
+      opacity: CONFIG.DIFFICULTY_OPACITY,
+      lineJoin: 'round',
+      lineCap: 'round'
+    }).bindTooltip(i18n.t('difficulty_steep_section', { gradient: i18n.number(stretch.gradient, 0) }), { sticky: true }))).addTo(map);
+  }
+
+  // ============================================================================
+  // ROUTE DESCRIPTION
+  // ============================================================================
+
+  /**
+   * Name of the waypoint or peak closest to a point, if one is near enough
+   */
+  function findPlaceName(point, places) {
+    let best = null;
+    let bestDistance = CONFIG.ROUTE_PLACE_MATCH_METERS;
+    places.forEach(place => {
+      const distance = distanceBetween(point, place);
+      if (place.name && distance <= bestDistance) {
+        best = place;
+        bestDistance = distance;
+      }
+    });
+    return best ? best.name : null;
+  }
+
+  /**
+   * Describe the route in a few sentences: length, ascent, start, end and peaks
+   */
+  function describeRoute(days, stats, peaks, waypoints, i18n) {
+    const points = [];
+    days.forEach(day => day.lines.forEach(line => collectLatLngs(getTrackLatLngs(line), points)));
+    if (!points.length) {
+      return '';
+    }
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    const loop = distanceBetween(start, end) <= CONFIG.ROUTE_LOOP_METERS;
+    const places = waypoints.concat(peaks.map(peak => ({ lat: peak.lat, lng: peak.lng, name: peak.name || peak.label })));
+    const sentences = [];
+
+    if (stats.distance !== null) {
+      sentences.push(i18n.t(loop ? 'route_loop' : 'route_oneway', { distance: i18n.number(stats.distance, 1) }));
+    }
+    if (days.length > 1) {
+      sentences.push(i18n.t('route_days', { days: days.length }));
+    }
+    if (stats.elevation !== null) {
+      sentences.push(i18n.t('route_ascent', { ascent: i18n.number(stats.elevation, 0) }));
+    }
+    const startName = findPlaceName(start, places);
+    if (startName) {
+      sentences.push(i18n.t('route_start', { name: startName }));
+    }
+    const endName = loop ? null : findPlaceName(end, places);
+    if (endName) {
+      sentences.push(i18n.t('route_end', { name: endName }));
+    }
+    const peakNames = peaks
+      .slice()
+      .sort((a, b) => a.number - b.number)
+      .map(peak => peak.name || peak.label)
+      .filter((name, index, names) => name && names.indexOf(name) === index);
+    if (peakNames.length) {
+      sentences.push(i18n.t('route_peaks', { peaks: peakNames.join(', ') }));
+    }
+    return sentences.join(' ');
+  }
+
+  /**
+   * Write the route description into the map's text alternative (aria-describedby)
+   * @param {L.Evented} lifecycle - Fires 'unload' when the tour is torn down (see loadTourDetails())
+   */
+  function addRouteDescription(canvas, lifecycle, text) {
+    const description = canvas.id ? document.getElementById(`${canvas.id}-description`) : null;
+    if (!description || !text) {
+      return;
+    }
+    description.textContent = text;
+    lifecycle.on('unload', () => {
+      description.textContent = '';
+    });
+  }
+
+  // ============================================================================
+  // MULTI-DAY TOURS
+  // ============================================================================
+
+  /**
+   * Track color of a day (0-based index)
+   * @param {string} [trackColor] - Themed color of the first day, see readTheme()
+   */
+  function getDayColor(index, trackColor) {
+    if (!index) {
+      return trackColor || CONFIG.TRACK_COLOR;
+    }
+    return CONFIG.DAY_COLORS[(index - 1) % CONFIG.DAY_COLORS.length];
+  }
+
+  /**
+   * Split a GPX document into one GPX string per <trk>
+   * @returns {Array|null} Null when the document has fewer than two tracks
+   */
+  function splitGpxTracks(gpxDocument) {
+    if (!gpxDocument || typeof gpxDocument.getElementsByTagName !== 'function') {
+      return null;
+    }
+    const tracks = gpxDocument.getElementsByTagName('trk');
+    if (tracks.length < 2) {
+      return null;
+    }
+
+    const serializer = new XMLSerializer();
+    return Array.from(tracks).map(track => {
+      // Shallow clone keeps the <gpx> namespaces that extensions (hr, cad, ...) rely on
+      const root = gpxDocument.documentElement.cloneNode(false);
+      root.appendChild(track.cloneNode(true));
+      return serializer.serializeToString(root);
+    });
+  }
+
+  /**
+   * Render the day list below the stats grid: per-day distance and ascent plus the total
+   * Each day name is a button that zooms the map to that stage.
+   */
+  function renderDaySelector(canvas, map, days, total, i18n) {
+    const container = canvas.closest('.tour-entry')?.querySelector('[data-tour-days]');
+    if (!container || days.length < 2) {
+      return;
+    }
+
+    const formatStat = (stats, key, unit) => (stats[key] === null
+      ? '–'
+      : `${STAT_FORMATTERS[key](stats[key], i18n)} ${unit}`);
+    const row = (label, stats, target, color) => `<tr>
+        <th scope="row">
+          <button type="button" class="tour-day-button" data-tour-day="${target}" aria-pressed="false">
+            ${color ? `<span class="tour-day-swatch" style="background: ${escapeHtml(color)}" aria-hidden="true"></span>` : ''}${escapeHtml(label)}
+          </button>
+        </th>
+        <td>${escapeHtml(formatStat(stats, 'distance', 'km'))}</td>
+        <td>${escapeHtml(formatStat(stats, 'elevation', 'm'))}</td>
+      </tr>`;
+
+    container.innerHTML = `<table class="tour-days-table">
+      <thead>
+        <tr>
+          <th scope="col">${escapeHtml(i18n.t('days_heading'))}</th>
+          <th scope="col">${escapeHtml(i18n.t('stat_distance'))}</th>
+          <th scope="col">${escapeHtml(i18n.t('stat_elevation'))}</th>
+        </tr>
+      </thead>
+      <tbody>${days.map(day => row(i18n.t('day_label', { day: day.number }), day.stats, day.number - 1, day.color)).join('')}</tbody>
+      <tfoot>${row(i18n.t('days_total'), total, 'all', null)}</tfoot>
+    </table>`;
+
+    const buttons = Array.from(container.querySelectorAll('[data-tour-day]'));
+    function handleDayClick(event) {
+      const button = event.target.closest?.('[data-tour-day]');
+      if (!button) {
+        return;
+      }
+      const target = button.getAttribute('data-tour-day');
+      const bounds = target === 'all'
+        ? mapRegistry.get(canvas)?.defaultBounds
+        : days[parseInt(target, 10)]?.bounds;
+      if (bounds && bounds.isValid()) {
+        map.flyToBounds(bounds, {
+          duration: 0.8,
+          easeLinearity: 0.25
+        });
+      }
+      buttons.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+    }
+
+    container.addEventListener('click', handleDayClick);
+    map.on('unload', () => {
+      container.removeEventListener('click', handleDayClick);
+      container.replaceChildren();
+      container.hidden = true;
+    });
+    container.hidden = false;
+  }
+
+  // ============================================================================
+  // TRACK OVERLAYS
+  // ============================================================================
+
+  const OVERLAY_ROLES = ['planned', 'recorded', 'alternative'];
+
+  /**
+   * Parse the data-overlays attribute into a list of { name, role, url }
+   */
+  function parseOverlayData(canvas) {
+    const raw = canvas?.getAttribute('data-overlays');
+    if (!raw) {
+      return [];
+    }
+
+    try {
+      const overlays = JSON.parse(decodeHTMLEntities(raw));
+      if (!Array.isArray(overlays)) {
+        return [];
+      }
+      return overlays
+        .filter(overlay => {
+          if (!overlay || !isValidTrackUrl(overlay.url)) {
+            console.warn('[Tours] Invalid overlay track URL:', overlay?.url);
+            return false;
+          }
+          return true;
+        })
+        .map(overlay => ({
+          name: String(overlay.name || ''),
+          role: OVERLAY_ROLES.includes(overlay.role) ? overlay.role : 'alternative',
+          url: overlay.url
+        }));
+    } catch (err) {
+      console.error('[Tours] Failed to parse overlay data', err);
+      return [];
+    }
+  }
+
+  /**
+   * L.GPX options for an overlay, styled by its role
+   */
+  function createOverlayOptions(role, separateSegments) {
+    const style = CONFIG.OVERLAY_STYLES[role];
+    const options = createGpxOptions(style.color, separateSegments);
+    Object.assign(options.polyline_options, {
+      weight: style.weight,
+      opacity: style.opacity,
+      dashArray: style.dashArray
+    });
+    return options;
+  }
+
+  /**
+   * Stretches of a track further than the threshold from a reference track
+   * Reference segments are bucketed in a grid of threshold-sized cells,
+   * so each point only checks the segments around it.
+   * @returns {Array} [{ latLngs, length }] - length in meters
+   */
+  function findTrackDeviations(lines, referenceLines, threshold) {
+    const reference = collectTrackSamples(referenceLines);
+    const samples = collectTrackSamples(lines);
+    if (!reference.length || !samples.length) {
+      return [];
+    }
+
+    const cellLat = threshold / 110540;
+    const cellLng = threshold / (111320 * Math.cos(reference[0].latLngs[0].lat * Math.PI / 180));
+    const grid = new Map();
+    const wide = [];
+    reference.forEach(line => {
+      for (let i = 1; i < line.latLngs.length; i++) {
+        const a = line.latLngs[i - 1];
+        const b = line.latLngs[i];
+        const minX = Math.floor(Math.min(a.lng, b.lng) / cellLng);
+        const maxX = Math.floor(Math.max(a.lng, b.lng) / cellLng);
+        const minY = Math.floor(Math.min(a.lat, b.lat) / cellLat);
+        const maxY = Math.floor(Math.max(a.lat, b.lat) / cellLat);
+        if ((maxX - minX + 1) * (maxY - minY + 1) > CONFIG.DEVIATION_MAX_GRID_CELLS) {
+          wide.push([a, b]);
+          continue;
+        }
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) {
+            const key = `${x}:${y}`;
+            if (!grid.has(key)) {
+              grid.set(key, []);
+            }
+            grid.get(key).push([a, b]);
+          }
+        }
+      }
+    });
+
+    const isNear = point => {
+      const x = Math.floor(point.lng / cellLng);
+      const y = Math.floor(point.lat / cellLat);
+      const within = segment => distanceToSegment(point, segment[0], segment[1]).meters <= threshold;
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          if ((grid.get(`${x + dx}:${y + dy}`) || []).some(within)) {
+            return true;
+          }
+        }
+      }
+      return wide.some(within);
+    };
+
+    const deviations = [];
+    samples.forEach(line => {
+      let start = -1;
+      const close = end => {
+        // Include the on-route points on both sides, so the marking joins the track
+        const from = Math.max(start - 1, 0);
+        const to = Math.min(end + 1, line.latLngs.length - 1);
+        deviations.push({
+          latLngs: line.latLngs.slice(from, to + 1),
+          length: line.distances[to] - line.distances[from]
+        });
+        start = -1;
+      };
+      line.latLngs.forEach((point, index) => {
+        if (!isNear(point)) {
+          if (start < 0) {
+            start = index;
+          }
+        } else if (start >= 0) {
+          close(index - 1);
+        }
+      });
+      if (start >= 0) {
+        close(line.latLngs.length - 1);
+      }
+    });
+    return deviations;
+  }
+
+  /**
+   * Line sample for the overlay legend
+   */
+  function createOverlaySwatch(color, weight, dashArray) {
+    const dash = dashArray ? ` stroke-dasharray="${escapeHtml(dashArray)}"` : '';
+    return `<svg class="tour-overlay-swatch" viewBox="0 0 28 10" width="28" height="10" aria-hidden="true" focusable="false"><line x1="2" y1="5" x2="26" y2="5" stroke="${escapeHtml(color)}" stroke-width="${weight}" stroke-linecap="round"${dash} /></svg>`;
+  }
+
+  /**
+   * Legend of the tracks on the map; every track (and the deviation marking) can be toggled
+   */
+  function addOverlayLegend(map, entries, i18n) {
+    const OverlayControl = L.Control.extend({
+      options: {
+        position: 'bottomright'
+      },
+      onAdd() {
+        const container = L.DomUtil.create('div', 'leaflet-bar tour-map-control tour-overlay-control');
+        const list = L.DomUtil.create('ul', 'tour-overlay-legend', container);
+        list.setAttribute('aria-label', i18n.t('overlay_legend'));
+        entries.forEach(entry => {
+          const item = L.DomUtil.create('li', '', list);
+          item.innerHTML = `<label class="tour-overlay-item">
+              <input type="checkbox" checked>
+              ${entry.swatch}
+              <span class="tour-overlay-name">${escapeHtml(entry.label)}</span>
+              ${entry.role ? `<span class="tour-overlay-role">${escapeHtml(entry.role)}</span>` : ''}
+            </label>`;
+          const checkbox = item.querySelector('input');
+          L.DomEvent.on(checkbox, 'change', () => {
+            if (checkbox.checked) {
+              entry.layer.addTo(map);
+            } else {
+              map.removeLayer(entry.layer);
+            }
+          });
+        });
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+        return container;
+      }
+    });
+    map.addControl(new OverlayControl());
+  }
+
+  /**
+   * Load the extra tracks of a tour (data-overlays) and draw them beneath the tour's own track
+   * With a planned route, the stretches where the recorded track (a "recorded" overlay, else the
+   * tour's track) strays from it are marked.
+   * @param {L.LayerGroup} trackLayer - The tour's own track, toggled by its legend entry
+   */
+  function addTrackOverlays(canvas, map, trackLines, trackLayer, i18n) {
+    const overlays = parseOverlayData(canvas);
+    if (!overlays.length) {
+      return;
+    }
+
+    const separateSegments = parsePrivacyZones(canvas).length > 0;
+    Promise.all(overlays.map(overlay => fetchTourTrack(canvas, overlay.url)
+      .then(text => loadGpxLayer(text, createOverlayOptions(overlay.role, separateSegments)))
+      .catch(err => {
+        console.warn('[Tours] Failed to load overlay track:', overlay.url, err);
+        return null;
+      })))
+      .then(results => {
+        // The map may have been destroyed while the overlays were loading
+        if (initializedMaps.get(canvas) !== map) {
+          return;
+        }
+
+        const tracks = [];
+        results.forEach((result, index) => {
+          if (result) {
+            tracks.push({ overlay: overlays[index], layer: result.layer, lines: collectTrackLines(result.layer) });
+          }
+        });
+        if (!tracks.length) {
+          return;
+        }
+        tracks.forEach(track => {
+          track.layer.addTo(map);
+          track.lines.forEach(bringLayerToBackWhenReady);
+        });
+
+        const entries = [{
+          label: i18n.t('overlay_main'),
+          swatch: createOverlaySwatch(getDayColor(0, readTheme(canvas).track), CONFIG.TRACK_WEIGHT, null),
+          layer: trackLayer
+        }].concat(tracks.map(track => {
+          const style = CONFIG.OVERLAY_STYLES[track.overlay.role];
+          return {
+            label: track.overlay.name,
+            role: i18n.t('overlay_role_' + track.overlay.role),
+            swatch: createOverlaySwatch(style.color, style.weight, style.dashArray),
+            layer: track.layer
+          };
+        }));
+
+        const planned = tracks.find(track => track.overlay.role === 'planned');
+        const recorded = tracks.find(track => track.overlay.role === 'recorded');
+        const deviations = planned
+          ? findTrackDeviations(recorded ? recorded.lines : trackLines, planned.lines, CONFIG.DEVIATION_METERS)
+            .filter(deviation => deviation.length >= CONFIG.DEVIATION_MIN_LENGTH_METERS)
+          : [];
+        if (deviations.length) {
+          const layer = L.featureGroup(deviations.map(deviation => L.polyline(deviation.latLngs, {
+            color: CONFIG.DEVIATION_COLOR,
+            weight: CONFIG.DEVIATION_WEIGHT,
+            opacity: CONFIG.DEVIATION_OPACITY,
+            lineJoin: 'round',
+            lineCap: 'round'
+          }).bindTooltip(i18n.t('overlay_deviation_length', { distance: i18n.number(deviation.length / 1000, 1) }), { sticky: true })));
+          layer.addTo(map);
+          entries.push({
+            label: i18n.t('overlay_deviation'),
+            swatch: createOverlaySwatch(CONFIG.DEVIATION_COLOR, 6, null),
+            layer: layer
+          });
+        }
+
+        addOverlayLegend(map, entries, i18n);
+      })
+      .catch(err => console.error('[Tours] Failed to draw overlay tracks:', err));
+  }
+
+  // ============================================================================
+  // PHOTOS
+  // ============================================================================
+
+  /**
+   * Parse the data-photos attribute into a list of photos
+   * Every photo is kept (even without a position) so indices match the gallery.
+   * @returns {Array} [{ src, caption, lat, lng, time }]
+   */
+  function parsePhotoData(canvas) {
+    const photosRaw = canvas?.getAttribute('data-photos');
+    if (!photosRaw) {
+      return [];
+    }
+
+    try {
+      const photos = JSON.parse(decodeHTMLEntities(photosRaw));
+      if (!Array.isArray(photos)) {
+        return [];
+      }
+
+      return photos.map(photo => {
+        const src = photo && isSafeUrl(photo.src) ? photo.src : null;
+        if (!src) {
+          console.warn('[Tours] Invalid photo URL:', photo?.src);
+        }
+        const hasCoords = photo && photo.lat !== undefined && photo.lng !== undefined &&
+          isValidCoordinate(photo.lat, photo.lng);
+        return {
+          src: src,
+          caption: photo?.caption || '',
+          lat: hasCoords ? parseFloat(photo.lat) : null,
+          lng: hasCoords ? parseFloat(photo.lng) : null,
+          time: photo?.time || null
+        };
+      });
+    } catch (err) {
+      console.error('[Tours] Failed to parse photo data', err);
+      return [];
+    }
+  }
+
+  /**
+   * Collect track points that carry a GPX timestamp, in track order
+   */
+  function collectTimedTrackPoints(lines) {
+    const latLngs = [];
+    lines.forEach(line => {
+      if (line && typeof line.getLatLngs === 'function') {
+        collectLatLngs(getTrackLatLngs(line), latLngs);
+      }
+    });
+
+    const points = [];
+    latLngs.forEach(latLng => {
+      const time = readPointTime(latLng);
+      if (isFinite(time)) {
+        points.push({ lat: latLng.lat, lng: latLng.lng, time: time });
+      }
+    });
+    return points;
+  }
+
+  /**
+   * Find the track point recorded closest to a time (binary search)
+   * @returns {Object|null} Point, or null when the time lies outside the recording
+   */
+  function findTrackPointByTime(points, time) {
+    if (!points.length) {
+      return null;
+    }
+    const tolerance = CONFIG.PHOTO_TIME_TOLERANCE_MS;
+    if (time < points[0].time - tolerance || time > points[points.length - 1].time + tolerance) {
+      return null;
+    }
+
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].time < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    if (low > 0 && time - points[low - 1].time < points[low].time - time) {
+      return points[low - 1];
+    }
+    return points[low];
+  }
+
+  /**
+   * Place a local camera time (no timezone) on the track
+   * The time is read as UTC first, then shifted by whole hours until it falls into the recording.
+   */
+  function findTrackPointByLocalTime(points, localTime) {
+    const hour = 60 * 60 * 1000;
+    for (let shift = 0; shift <= CONFIG.PHOTO_TIMEZONE_GUESS_HOURS; shift++) {
+      const candidates = shift === 0 ? [0] : [shift, -shift];
+      for (let i = 0; i < candidates.length; i++) {
+        const point = findTrackPointByTime(points, localTime - candidates[i] * hour);
+        if (point) {
+          return point;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a timestamp string; values without a timezone are flagged as local camera time
+   * @returns {Object|null} { time, hasZone }
+   */
+  function parsePhotoTime(value) {
+    const match = /^(\d{4})[-:](\d{2})[-:](\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(String(value || '').trim());
+    if (!match) {
+      return null;
+    }
+    const zone = match[7] ? match[7].toUpperCase().replace(/^([+-]\d{2})(\d{2})$/, '$1:$2') : 'Z';
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6] || '00'}${zone}`;
+    const time = new Date(iso).getTime();
+    return isFinite(time) ? { time: time, hasZone: Boolean(match[7]) } : null;
+  }
+
+  /**
+   * Read capture time and GPS position from the EXIF block of a JPEG
+   * @returns {Object|null} { time, lat, lng } (each may be null)
+   */
+  function readExifMetadata(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+      return null;
+    }
+
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+        break; // Not a marker, or start of image data
+      }
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        return readTiffMetadata(view, offset + 10);
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+  }
+
+  function readTiffMetadata(view, start) {
+    const little = view.getUint16(start) === 0x4949;
+    const u16 = position => view.getUint16(start + position, little);
+    const u32 = position => view.getUint32(start + position, little);
+
+    const readIfd = position => {
+      const entries = {};
+      const count = u16(position);
+      for (let i = 0; i < count; i++) {
+        const entry = position + 2 + i * 12;
+        entries[u16(entry)] = { count: u32(entry + 4), valueOffset: entry + 8 };
+      }
+      return entries;
+    };
+    const readAscii = entry => {
+      const position = entry.count > 4 ? u32(entry.valueOffset) : entry.valueOffset;
+      let text = '';
+      for (let i = 0; i < entry.count; i++) {
+        const code = view.getUint8(start + position + i);
+        if (!code) {
+          break;
+        }
+        text += String.fromCharCode(code);
+      }
+      return text;
+    };
+    const readDegrees = entry => {
+      const position = u32(entry.valueOffset);
+      let degrees = 0;
+      for (let i = 0; i < 3; i++) {
+        const denominator = u32(position + i * 8 + 4);
+        degrees += denominator ? u32(position + i * 8) / denominator / Math.pow(60, i) : 0;
+      }
+      return degrees;
+    };
+
+    try {
+      const ifd0 = readIfd(u32(4));
+      const result = { time: null, lat: null, lng: null };
+
+      if (ifd0[0x8769]) {
+        const exif = readIfd(u32(ifd0[0x8769].valueOffset));
+        const taken = exif[0x9003] ? readAscii(exif[0x9003]) : '';
+        const zone = exif[0x9011] ? readAscii(exif[0x9011]) : '';
+        result.time = parsePhotoTime(taken + zone);
+      }
+
+      if (ifd0[0x8825]) {
+        const gps = readIfd(u32(ifd0[0x8825].valueOffset));
+        if (gps[2] && gps[4]) {
+          const lat = readDegrees(gps[2]) * (gps[1] && readAscii(gps[1]) === 'S' ? -1 : 1);
+          const lng = readDegrees(gps[4]) * (gps[3] && readAscii(gps[3]) === 'W' ? -1 : 1);
+          if (isValidCoordinate(lat, lng) && (lat !== 0 || lng !== 0)) {
+            result.lat = lat;
+            result.lng = lng;
+          }
+        }
+      }
+      return result;
+    } catch (err) {
+      console.warn('[Tours] Failed to read EXIF data', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the start of an image and read its EXIF metadata
+   * Only same-origin photos: the Range header needs a CORS preflight that photo hosts rarely allow.
+   */
+  function fetchPhotoMetadata(src) {
+    if (typeof fetch !== 'function' || new URL(src, window.location.href).origin !== window.location.origin) {
+      return Promise.resolve(null);
+    }
+    return fetch(src, { headers: { Range: `bytes=0-${CONFIG.PHOTO_EXIF_BYTES - 1}` } })
+      .then(response => (response.ok ? response.arrayBuffer() : null))
+      .then(buffer => (buffer ? readExifMetadata(buffer) : null))
+      .catch(err => {
+        console.warn('[Tours] Failed to read photo metadata:', src, err);
+        return null;
+      });
+  }
+
+  /**
+   * Give every photo a position: explicit coordinates, then the given time, then EXIF
+   * Photos that cannot be placed, or whose position lies in a privacy zone, keep lat/lng null
+   * and only appear in the lightbox.
+   */
+  function placePhotos(photos, lines, zones) {
+    const timedPoints = collectTimedTrackPoints(lines);
+
+    const placeByTime = (photo, parsed) => {
+      if (!parsed) {
+        return false;
+      }
+      const point = parsed.hasZone
+        ? findTrackPointByTime(timedPoints, parsed.time)
+        : findTrackPointByLocalTime(timedPoints, parsed.time);
+      if (point) {
+        photo.lat = point.lat;
+        photo.lng = point.lng;
+      }
+      return Boolean(point);
+    };
+
+    return Promise.all(photos.map(photo => {
+      if (!photo.src || photo.lat !== null || placeByTime(photo, parsePhotoTime(photo.time))) {
+        return null;
+      }
+      return fetchPhotoMetadata(photo.src).then(metadata => {
+        if (metadata && metadata.lat !== null) {
+          photo.lat = metadata.lat;
+          photo.lng = metadata.lng;
+        } else if (!placeByTime(photo, metadata?.time)) {
+          console.warn('[Tours] Could not place photo on the track:', photo.src);
+        }
+      });
+    })).then(() => {
+      photos.forEach(photo => {
+        if (photo.lat !== null && isInPrivacyZone(photo.lat, photo.lng, zones)) {
+          photo.lat = null;
+          photo.lng = null;
+        }
+      });
+      return photos;
+    });
+  }
+
+  /**
+   * Create a thumbnail marker icon for a photo
+   */
+  function createPhotoIcon(photo) {
+    const size = CONFIG.PHOTO_ICON_SIZE;
+    return L.divIcon({
+      className: 'mbtour-photo-icon',
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+      html: `<img src="${escapeHtml(photo.src)}" alt="" loading="lazy" decoding="async">`
+    });
+  }
+
+  /**
+   * Create the lightbox for a tour's photos
+   * Navigating between photos pans the map to the photo's position.
+   * @returns {Object} { open(index, opener), close() }
+   */
+  function createPhotoLightbox(photos, map, i18n) {
+    const element = document.createElement('div');
+    element.className = 'tour-lightbox';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', i18n.t('photo_viewer'));
+    element.innerHTML = `<figure class="tour-lightbox-figure">
+        <img class="tour-lightbox-image" alt="">
+        <figcaption class="tour-lightbox-caption"></figcaption>
+      </figure>
+      <p class="tour-lightbox-counter" aria-live="polite"></p>
+      <button type="button" class="tour-lightbox-button tour-lightbox-prev" aria-label="${escapeHtml(i18n.t('photo_previous'))}">&#8249;</button>
+      <button type="button" class="tour-lightbox-button tour-lightbox-next" aria-label="${escapeHtml(i18n.t('photo_next'))}">&#8250;</button>
+      <button type="button" class="tour-lightbox-button tour-lightbox-close" aria-label="${escapeHtml(i18n.t('photo_close'))}">&times;</button>`;
+
+    const image = element.querySelector('.tour-lightbox-image');
+    const caption = element.querySelector('.tour-lightbox-caption');
+    const counter = element.querySelector('.tour-lightbox-counter');
+    const prevButton = element.querySelector('.tour-lightbox-prev');
+    const nextButton = element.querySelector('.tour-lightbox-next');
+    const closeButton = element.querySelector('.tour-lightbox-close');
+    // Photos with an invalid URL are skipped, so they do not count in the "1 of 3" counter
+    const shown = photos.filter(photo => photo.src);
+    const navigable = shown.length > 1;
+    prevButton.hidden = !navigable;
+    nextButton.hidden = !navigable;
+
+    let currentIndex = -1;
+    let returnFocus = null;
+
+    function show(index) {
+      const photo = photos[index];
+      if (!photo?.src) {
+        return;
+      }
+      currentIndex = index;
+      const number = shown.indexOf(photo) + 1;
+      const position = i18n.t('photo_counter', { index: number, total: shown.length });
+      image.src = photo.src;
+      image.alt = photo.caption || i18n.t('photo_alt', { index: number });
+      caption.textContent = photo.caption;
+      caption.hidden = !photo.caption;
+      counter.textContent = position;
+      if (photo.lat !== null) {
+        map.panTo([photo.lat, photo.lng]);
+      }
+    }
+
+    function step(direction) {
+      for (let i = 1; i <= photos.length; i++) {
+        const index = (currentIndex + direction * i + photos.length) % photos.length;
+        if (photos[index].src) {
+          show(index);
+          return;
+        }
+      }
+    }
+
+    function close() {
+      if (!element.parentNode) {
+        return;
+      }
+      element.parentNode.removeChild(element);
+      if (returnFocus && typeof returnFocus.focus === 'function') {
+        returnFocus.focus();
+      }
+      returnFocus = null;
+    }
+
+    function open(index, opener) {
+      returnFocus = opener || document.activeElement;
+      // Inside native fullscreen only the fullscreen element is visible
+      (getFullscreenElement() || document.body).appendChild(element);
+      show(index);
+      closeButton.focus();
+    }
+
+    prevButton.addEventListener('click', () => step(-1));
+    nextButton.addEventListener('click', () => step(1));
+    closeButton.addEventListener('click', close);
+    element.addEventListener('click', event => {
+      if (event.target === element) {
+        close();
+      }
+    });
+    element.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation(); // Keep the fullscreen fallback open
+        close();
+      } else if (event.key === 'ArrowLeft' && navigable) {
+        step(-1);
+      } else if (event.key === 'ArrowRight' && navigable) {
+        step(1);
+      } else if (event.key === 'Tab') {
+        // Keep focus inside the dialog
+        const focusable = [prevButton, nextButton, closeButton].filter(button => !button.hidden);
+        const position = focusable.indexOf(document.activeElement);
+        const next = event.shiftKey ? position - 1 : position + 1;
+        event.preventDefault();
+        focusable[(next + focusable.length) % focusable.length].focus();
+      }
+    });
+
+    return { open: open, close: close };
+  }
+
+  /**
+   * Add photo markers and the lightbox to a tour map
+   * @returns {Object|null} Lightbox controller used by the photo gallery
+   */
+  function addTourPhotos(canvas, map, lines, i18n) {
+    const photos = parsePhotoData(canvas);
+    if (!photos.length) {
+      return null;
+    }
+
+    const lightbox = createPhotoLightbox(photos, map, i18n);
+    placePhotos(photos, lines, parsePrivacyZones(canvas)).then(() => {
+      photos.forEach((photo, index) => {
+        if (!photo.src || photo.lat === null) {
+          return;
+        }
+        const title = photo.caption || i18n.t('photo_alt', { index: index + 1 });
+        L.marker([photo.lat, photo.lng], {
+          icon: createPhotoIcon(photo),
+          title: title,
+          alt: title,
+          riseOnHover: true
+        })
+          .on('click', () => lightbox.open(index))
+          .addTo(map);
+      });
+    }).catch(err => console.error('[Tours] Failed to place photos:', err));
+    map.on('unload', lightbox.close);
+    return lightbox;
+  }
+
+  // ============================================================================
+  // REPLAY
+  // ============================================================================
+
+  const REPLAY_ICON_PLAY = '<svg viewBox="0 0 24 24" width="18" height="18" aria-hidden="true" focusable="false"><path d="M8 5v14l11-7Z" fill="currentColor" /></svg>';
+  const REPLAY_ICON_PAUSE = '<svg viewBox="0 0 24 24" width="18" height="18" aria-hidden="true" focusable="false"><path d="M7 5h4v14H7Zm6 0h4v14h-4Z" fill="currentColor" /></svg>';
+
+  /**
+   * Build the replay timeline of a tour
+   * With timestamps on every point the replay follows the recorded times (long breaks
+   * such as nights between days are skipped); otherwise it runs by distance.
+   * @returns {Object|null} { points: [{ lat, lng, ele, distance, position }], timed, total }
+   */
+  function buildReplayTimeline(days) {
+    const points = [];
+    let distanceOffset = 0;
+    days.forEach(day => {
+      collectTrackSamples(day.lines).forEach(samples => {
+        samples.latLngs.forEach((latLng, index) => {
+          const ele = latLng.meta?.ele;
+          points.push({
+            lat: latLng.lat,
+            lng: latLng.lng,
+            ele: isFinite(ele) ? ele : null,
+            distance: distanceOffset + samples.distances[index],
+            time: readPointTime(latLng)
+          });
+        });
+        distanceOffset += samples.distances[samples.distances.length - 1];
+      });
+    });
+    if (points.length < 2) {
+      return null;
+    }
+
+    const timed = points.every(point => isFinite(point.time));
+    let clock = 0;
+    points.forEach((point, index) => {
+      if (timed && index > 0) {
+        const step = point.time - points[index - 1].time;
+        clock += step > 0 && step <= CONFIG.REPLAY_MAX_GAP_MS ? step : 0;
+      }
+      point.position = timed ? clock : point.distance;
+    });
+
+    const total = points[points.length - 1].position;
+    return total > 0 ? { points: points, timed: timed, total: total } : null;
+  }
+
+  /**
+   * Interpolate the replay state at a timeline position
+   */
+  function sampleReplay(timeline, position) {
+    const points = timeline.points;
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (points[mid].position <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    const from = points[low];
+    const to = points[Math.min(low + 1, points.length - 1)];
+    const span = to.position - from.position;
+    const ratio = span > 0 ? Math.min(Math.max((position - from.position) / span, 0), 1) : 0;
+    const mix = (a, b) => a + (b - a) * ratio;
+    return {
+      lat: mix(from.lat, to.lat),
+      lng: mix(from.lng, to.lng),
+      ele: from.ele !== null && to.ele !== null ? mix(from.ele, to.ele) : from.ele,
+      distance: mix(from.distance, to.distance)
+    };
+  }
+
+  /**
+   * Timeline positions where the replay pauses, one per peak close to the track
+   */
+  function findReplayStops(timeline, peaks) {
+    const peakIndex = groupPeaksByCoordinate(peaks);
+    const stops = [];
+    Object.keys(peakIndex).forEach(key => {
+      const info = peakIndex[key];
+      const index = findNearestPointIndex(timeline.points, info);
+      const point = timeline.points[index];
+      if (point && distanceBetween(point, info) <= CONFIG.PROFILE_PEAK_MAX_OFFSET_METERS) {
+        stops.push({ position: point.position, key: key });
+      }
+    });
+    return stops.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Format a duration in milliseconds as h:mm:ss
+   */
+  function formatElapsed(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Add the replay panel below the map: play/pause, scrubber, speed and live readouts
+   * @returns {Object|null} { play(), pause(), seek(position) }
+   */
+  function addTourReplay(canvas, map, days, peaks, i18n) {
+    const timeline = buildReplayTimeline(days);
+    if (!timeline) {
+      return null;
+    }
+    const stops = findReplayStops(timeline, peaks);
+    const steps = CONFIG.REPLAY_SCRUBBER_STEPS;
+    const theme = readTheme(canvas);
+
+    const panel = document.createElement('div');
+    panel.className = 'tour-replay';
+    panel.innerHTML = `<button type="button" class="tour-replay-play" aria-pressed="false"></button>
+      <input type="range" class="tour-replay-scrubber" min="0" max="${steps}" step="1" value="0" aria-label="${escapeHtml(i18n.t('replay_position'))}">
+      <select class="tour-replay-speed" aria-label="${escapeHtml(i18n.t('replay_speed'))}">
+        ${CONFIG.REPLAY_SPEEDS.map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${escapeHtml(i18n.number(speed))}×</option>`).join('')}
+      </select>
+      <dl class="tour-replay-readout">
+        ${timeline.timed ? `<div><dt>${escapeHtml(i18n.t('replay_time'))}</dt><dd data-replay-value="time"></dd></div>` : ''}
+        <div><dt>${escapeHtml(i18n.t('stat_distance'))}</dt><dd data-replay-value="distance"></dd></div>
+        <div><dt>${escapeHtml(i18n.t('replay_elevation'))}</dt><dd data-replay-value="elevation"></dd></div>
+      </dl>`;
+    canvas.insertAdjacentElement('afterend', panel);
+
+    const button = panel.querySelector('.tour-replay-play');
+    const scrubber = panel.querySelector('.tour-replay-scrubber');
+    const speedSelect = panel.querySelector('.tour-replay-speed');
+    const readouts = {
+      time: panel.querySelector('[data-replay-value="time"]'),
+      distance: panel.querySelector('[data-replay-value="distance"]'),
+      elevation: panel.querySelector('[data-replay-value="elevation"]')
+    };
+
+    // Timeline units per millisecond at 1x, so a full replay takes REPLAY_BASE_DURATION_MS
+    const baseRate = timeline.total / CONFIG.REPLAY_BASE_DURATION_MS;
+    const state = {
+      playing: false,
+      position: 0,
+      speed: 1,
+      nextStop: 0,
+      pauseUntil: 0,
+      lastFrame: 0,
+      frame: null
+    };
+    let marker = null;
+
+    function updateButton() {
+      const label = i18n.t(state.playing ? 'replay_pause' : 'replay_play');
+      button.innerHTML = state.playing ? REPLAY_ICON_PAUSE : REPLAY_ICON_PLAY;
+      button.setAttribute('aria-pressed', state.playing ? 'true' : 'false');
+      button.setAttribute('aria-label', label);
+      button.title = label;
+    }
+
+    function render(follow) {
+      const sample = sampleReplay(timeline, state.position);
+      const latLng = L.latLng(sample.lat, sample.lng);
+      if (!marker) {
+        marker = L.circleMarker(latLng, {
+          radius: CONFIG.REPLAY_MARKER_RADIUS,
+          color: theme.cursorBorder,
+          weight: CONFIG.CURSOR_BORDER_WEIGHT,
+          fillColor: theme.replayMarker,
+          fillOpacity: 1,
+          interactive: false
+        }).addTo(map);
+      } else {
+        marker.setLatLng(latLng);
+      }
+      if (follow && !map.getBounds().contains(latLng)) {
+        map.panTo(latLng);
+      }
+
+      const values = {
+        time: timeline.timed ? formatElapsed(state.position) : '',
+        distance: `${i18n.number(sample.distance / 1000, 2)} km`,
+        elevation: sample.ele === null ? '–' : `${i18n.number(sample.ele, 0)} m`
+      };
+      Object.keys(readouts).forEach(key => {
+        if (readouts[key]) {
+          readouts[key].textContent = values[key];
+        }
+      });
+      scrubber.value = String(Math.round(state.position / timeline.total * steps));
+      scrubber.setAttribute('aria-valuetext', [values.time, values.distance, values.elevation].filter(Boolean).join(', '));
+    }
+
+    function syncNextStop() {
+      const index = stops.findIndex(stop => stop.position > state.position);
+      state.nextStop = index < 0 ? stops.length : index;
+    }
+
+    function openPeakPopup(stop) {
+      const peakMarker = peakMarkerRegistry.get(canvas)?.get(stop.key);
+      if (peakMarker?.getPopup?.()) {
+        peakMarker.openPopup();
+      }
+    }
+
+    function tick(now) {
+      if (!state.playing) {
+        return;
+      }
+      // Clamp long frames (e.g. a background tab) so the marker does not jump
+      const elapsed = Math.min(now - state.lastFrame, CONFIG.REPLAY_MAX_FRAME_MS);
+      state.lastFrame = now;
+
+      if (now >= state.pauseUntil) {
+        let next = state.position + elapsed * baseRate * state.speed;
+        const stop = stops[state.nextStop];
+        if (stop && next >= stop.position) {
+          next = stop.position;
+          state.nextStop += 1;
+          state.pauseUntil = now + CONFIG.REPLAY_PEAK_PAUSE_MS;
+          openPeakPopup(stop);
+        }
+        state.position = Math.min(next, timeline.total);
+        render(true);
+        if (state.position >= timeline.total) {
+          pause();
+          return;
+        }
+      }
+      state.frame = window.requestAnimationFrame(tick);
+    }
+
+    function play() {
+      if (state.playing) {
+        return;
+      }
+      if (state.position >= timeline.total) {
+        state.position = 0;
+        syncNextStop();
+      }
+      state.playing = true;
+      state.pauseUntil = 0;
+      state.lastFrame = window.performance.now();
+      updateButton();
+      render(true);
+      state.frame = window.requestAnimationFrame(tick);
+    }
+
+    function pause() {
+      state.playing = false;
+      if (state.frame) {
+        window.cancelAnimationFrame(state.frame);
+        state.frame = null;
+      }
+      updateButton();
+    }
+
+    function seek(position) {
+      state.position = Math.min(Math.max(position, 0), timeline.total);
+      state.pauseUntil = 0;
+      syncNextStop();
+      render(false);
+    }
+
+    button.addEventListener('click', () => (state.playing ? pause() : play()));
+    scrubber.addEventListener('input', () => seek(Number(scrubber.value) / steps * timeline.total));
+    speedSelect.addEventListener('change', () => {
+      state.speed = parseFloat(speedSelect.value) || 1;
+    });
+
+    map.on('unload', () => {
+      pause();
+      panel.remove();
+    });
+
+    updateButton();
+    seek(0);
+    return { play: play, pause: pause, seek: seek };
+  }
+
+  // ============================================================================
+  // FULLSCREEN
+  // ============================================================================
+
+  const FULLSCREEN_ICON_ENTER = '<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true" focusable="false"><path d="M4 9V4h5M15 4h5v5M20 15v5h-5M9 20H4v-5" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+  const FULLSCREEN_ICON_EXIT = '<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true" focusable="false"><path d="M9 4v5H4M20 9h-5V4M15 20v-5h5M4 15h5v5" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+
+  /**
+   * Current native fullscreen element (with WebKit prefix fallback)
+   */
+  function getFullscreenElement() {
+    return document.fullscreenElement || document.webkitFullscreenElement || null;
+  }
+
+  /**
+   * Request native fullscreen, resolving to false when the Fullscreen API is unavailable or denied
+   */
+  function requestNativeFullscreen(element) {
+    const request = element.requestFullscreen || element.webkitRequestFullscreen;
+    if (typeof request !== 'function') {
+      return Promise.resolve(false);
+    }
+    try {
+      return Promise.resolve(request.call(element)).then(() => true, () => false);
+    } catch (err) {
+      return Promise.resolve(false);
+    }
+  }
+
+  /**
+   * Leave native fullscreen
+   */
+  function exitNativeFullscreen() {
+    const exit = document.exitFullscreen || document.webkitExitFullscreen;
+    if (typeof exit === 'function') {
+      try {
+        Promise.resolve(exit.call(document)).catch(() => {});
+      } catch (err) {
+        console.warn('[Tours] Failed to exit fullscreen', err);
+      }
+    }
+  }
+
+  /**
+   * Add a fullscreen toggle to the map
+   * Uses the Fullscreen API where available and a fixed-position CSS fallback otherwise.
+   * Scroll wheel zoom is only enabled while in fullscreen.
+   */
+  function addFullscreenControl(canvas, map, i18n) {
+    const fullscreen = {
+      active: false,
+      native: false
+    };
+    let button = null;
+
+    function updateButton() {
+      if (!button) {
+        return;
+      }
+      button.innerHTML = fullscreen.active ? FULLSCREEN_ICON_EXIT : FULLSCREEN_ICON_ENTER;
+      button.setAttribute('aria-pressed', fullscreen.active ? 'true' : 'false');
+      const label = i18n.t(fullscreen.active ? 'fullscreen_exit' : 'fullscreen_enter');
+      button.setAttribute('aria-label', label);
+      button.title = label;
+    }
+
+    function refreshMapSize() {
+      const schedule = window.requestAnimationFrame || (cb => setTimeout(cb, CONFIG.LAYER_READY_FRAME_DELAY));
+      schedule(() => map.invalidateSize());
+    }
+
+    function handleKeydown(event) {
+      if (event.key === 'Escape' || event.key === 'Esc') {
+        deactivate();
+      }
+    }
+
+    function activate(native) {
+      fullscreen.active = true;
+      fullscreen.native = native;
+      canvas.classList.add('tour-map-is-fullscreen');
+      if (!native) {
+        canvas.classList.add('tour-map-fullscreen-fallback');
+        document.documentElement.classList.add('tour-map-fullscreen-lock');
+        document.addEventListener('keydown', handleKeydown);
+      }
+      map.scrollWheelZoom.enable();
+      map.touchZoom.enable();
+      updateButton();
+      refreshMapSize();
+    }
+
+    function deactivate() {
+      if (!fullscreen.active) {
+        return;
+      }
+      const wasNative = fullscreen.native;
+      fullscreen.active = false;
+      fullscreen.native = false;
+      canvas.classList.remove('tour-map-is-fullscreen', 'tour-map-fullscreen-fallback');
+      document.documentElement.classList.remove('tour-map-fullscreen-lock');
+      document.removeEventListener('keydown', handleKeydown);
+      if (wasNative && getFullscreenElement() === canvas) {
+        exitNativeFullscreen();
+      }
+      map.scrollWheelZoom.disable();
+      updateButton();
+
+      // Restore the embedded view once Leaflet knows the smaller canvas size
+      const schedule = window.requestAnimationFrame || (cb => setTimeout(cb, CONFIG.LAYER_READY_FRAME_DELAY));
+      schedule(() => {
+        map.invalidateSize();
+        const mapState = mapRegistry.get(canvas);
+        if (mapState) {
+          mapState.currentPeak = null;
+          if (mapState.defaultBounds) {
+            zoomTrackToMax(map, mapState.defaultBounds);
+          }
+        }
+      });
+    }
+
+    function toggle() {
+      if (fullscreen.active) {
+        deactivate();
+        return;
+      }
+      requestNativeFullscreen(canvas).then(native => {
+        // Native fullscreen is confirmed by the fullscreenchange event
+        if (!native) {
+          activate(false);
+        }
+      });
+    }
+
+    function handleFullscreenChange() {
+      const element = getFullscreenElement();
+      if (element === canvas && !fullscreen.active) {
+        activate(true);
+      } else if (element !== canvas && fullscreen.active && fullscreen.native) {
+        deactivate();
+      }
+    }
+
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+
+    // Leave fullscreen without touching the map, which is being removed
+    map.on('unload', () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      document.removeEventListener('webkitfullscreenchange', handleFullscreenChange);
+      document.removeEventListener('keydown', handleKeydown);
+      if (fullscreen.active) {
+        canvas.classList.remove('tour-map-is-fullscreen', 'tour-map-fullscreen-fallback');
+        document.documentElement.classList.remove('tour-map-fullscreen-lock');
+        if (fullscreen.native && getFullscreenElement() === canvas) {
+          exitNativeFullscreen();
+        }
+      }
+      fullscreen.active = false;
+      fullscreen.native = false;
+    });
+
+    const FullscreenControl = L.Control.extend({
+      options: {
+        position: 'topleft'
+      },
+      onAdd() {
+        const container = L.DomUtil.create('div', 'leaflet-bar tour-map-control');
+        button = L.DomUtil.create('button', 'tour-fullscreen-button', container);
+        button.type = 'button';
+        updateButton();
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(button, 'click', event => {
+          L.DomEvent.preventDefault(event);
+          toggle();
+        });
+        return container;
+      }
+    });
+    map.addControl(new FullscreenControl());
+
+    return fullscreen;
+  }
+
+  // ============================================================================
+  // TRACK FORMATS
+  // ============================================================================
+
+  /**
+   * Every format is converted to GPX text, so L.GPX and everything built on its
+   * layers (arrows, endpoints, statistics, waypoints, ...) works the same for all
+   */
+  const TRACK_FORMAT_EXTENSIONS = {
+    gpx: 'gpx',
+    kml: 'kml',
+    geojson: 'geojson',
+    json: 'geojson',
+    tcx: 'tcx',
+    fit: 'fit'
+  };
+
+  const FIT_EPOCH_OFFSET_S = 631065600; // FIT timestamps count from 1989-12-31T00:00:00Z
+  const FIT_SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+  const FIT_MESSAGE_RECORD = 20;
+  const FIT_MESSAGE_COURSE_POINT = 32;
+  const FIT_COURSE_POINT_SYMBOLS = { 1: 'Summit', 3: 'Water', 4: 'Restaurant' };
+
+  /**
+   * Detect the format from the file content, then from the URL's extension
+   * @param {string} url - Track URL
+   * @param {Uint8Array} bytes - File content
+   * @returns {string} One of gpx, kml, geojson, tcx, fit
+   */
+  function detectTrackFormat(url, bytes) {
+    // FIT files carry ".FIT" at bytes 8-11 of their header
+    if (bytes.length >= 12 && String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === '.FIT') {
+      return 'fit';
+    }
+
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024)).replace(/^\uFEFF/, '').trim();
+    if (head.startsWith('{')) {
+      return 'geojson';
+    }
+    if (/<kml[\s>]/.test(head)) {
+      return 'kml';
+    }
+    if (/<TrainingCenterDatabase[\s>]/.test(head)) {
+      return 'tcx';
+    }
+    if (/<gpx[\s>]/.test(head)) {
+      return 'gpx';
+    }
+
+    const extension = (String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    return TRACK_FORMAT_EXTENSIONS[String(extension).toLowerCase()] || 'gpx';
+  }
+
+  /**
+   * Decode XML or JSON text, honoring the encoding named in an XML declaration
+   */
+  function decodeTrackText(bytes) {
+    const head = new TextDecoder().decode(bytes.subarray(0, 200));
+    const encoding = (head.match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([\w.-]+)["']/) || [])[1];
+    let decoder;
+    try {
+      decoder = new TextDecoder(encoding || 'utf-8');
+    } catch (err) {
+      decoder = new TextDecoder();
+    }
+    // L.GPX only treats strings starting with "<" as XML
+    return decoder.decode(bytes).replace(/^\uFEFF/, '').trim();
+  }
+
+  /**
+   * Parse XML text, failing on documents the browser could not read
+   */
+  function parseTrackXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw new Error('Invalid XML');
+    }
+    return doc;
+  }
+
+  /**
+   * Elements by local name, whatever namespace prefix the file uses
+   */
+  function elementsByLocalName(parent, name) {
+    return Array.from(parent.getElementsByTagNameNS('*', name));
+  }
+
+  /**
+   * Text of the first descendant with the given local name
+   */
+  function readLocalText(parent, name) {
+    const element = parent.getElementsByTagNameNS('*', name)[0];
+    return element?.textContent ? element.textContent.trim() : '';
+  }
+
+  /**
+   * Build a track point, dropping values that are not numbers
+   */
+  function createTrackPoint(lat, lng, ele, time, hr, cad) {
+    if (!isValidCoordinate(lat, lng)) {
+      return null;
+    }
+    return {
+      lat: lat,
+      lng: lng,
+      ele: isFinite(ele) ? ele : null,
+      time: isFinite(time) ? time : null,
+      hr: isFinite(hr) ? hr : null,
+      cad: isFinite(cad) ? cad : null
+    };
+  }
+
+  /**
+   * Parse a KML coordinate list ("lng,lat[,alt] lng,lat[,alt] ...")
+   */
+  function parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/).map(tuple => {
+      const values = tuple.split(',').map(parseFloat);
+      return createTrackPoint(values[1], values[0], values[2]);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Read KML placemarks: LineStrings and gx:Tracks become tracks, Points become waypoints
+   */
+  function parseKmlTrack(doc) {
+    const data = { tracks: [], waypoints: [] };
+    elementsByLocalName(doc, 'Placemark').forEach(placemark => {
+      const name = readLocalText(placemark, 'name');
+      const segments = elementsByLocalName(placemark, 'LineString')
+        .map(line => parseKmlCoordinates(readLocalText(line, 'coordinates')));
+
+      elementsByLocalName(placemark, 'Track').forEach(track => {
+        const times = elementsByLocalName(track, 'when').map(when => Date.parse(when.textContent.trim()));
+        const points = elementsByLocalName(track, 'coord').map((coord, index) => {
+          const values = coord.textContent.trim().split(/\s+/).map(parseFloat);
+          return createTrackPoint(values[1], values[0], values[2], times[index]);
+        });
+        segments.push(points.filter(Boolean));
+      });
+
+      if (segments.length) {
+        data.tracks.push({ name: name, segments: segments });
+        return;
+      }
+
+      const point = placemark.getElementsByTagNameNS('*', 'Point')[0];
+      const coordinates = point ? parseKmlCoordinates(readLocalText(point, 'coordinates')) : [];
+      if (coordinates.length) {
+        data.waypoints.push(Object.assign({
+          name: name,
+          desc: readLocalText(placemark, 'description'),
+          sym: ''
+        }, coordinates[0]));
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Read GeoJSON features: (Multi)LineStrings become tracks, Points become waypoints.
+   * Timestamps and heart rate are taken from the properties written by common converters.
+   */
+  function parseGeoJsonTrack(json) {
+    const data = { tracks: [], waypoints: [] };
+
+    function toPoints(coordinates, times, heartRates) {
+      return (coordinates || []).map((position, index) => createTrackPoint(
+        position[1],
+        position[0],
+        position[2],
+        times ? Date.parse(times[index]) : NaN,
+        heartRates ? heartRates[index] : NaN
+      )).filter(Boolean);
+    }
+
+    function addGeometry(geometry, properties) {
+      if (!geometry) {
+        return;
+      }
+      const coordinateProperties = properties.coordinateProperties || {};
+      const times = coordinateProperties.times || properties.coordTimes;
+      const heartRates = coordinateProperties.heart;
+      const name = properties.name || properties.title || '';
+
+      if (geometry.type === 'LineString') {
+        data.tracks.push({ name: name, segments: [toPoints(geometry.coordinates, times, heartRates)] });
+      } else if (geometry.type === 'MultiLineString') {
+        data.tracks.push({
+          name: name,
+          segments: (geometry.coordinates || []).map((line, index) => toPoints(
+            line,
+            times && times[index],
+            heartRates && heartRates[index]
+          ))
+        });
+      } else if (geometry.type === 'Point') {
+        const point = toPoints([geometry.coordinates])[0];
+        if (point) {
+          data.waypoints.push(Object.assign({
+            name: name,
+            desc: properties.desc || properties.description || '',
+            sym: properties.sym || properties.type || ''
+          }, point));
+        }
+      } else if (geometry.type === 'GeometryCollection') {
+        (geometry.geometries || []).forEach(part => addGeometry(part, properties));
+      }
+    }
+
+    if (json?.type === 'FeatureCollection') {
+      (json.features || []).forEach(feature => addGeometry(feature?.geometry, feature?.properties || {}));
+    } else if (json?.type === 'Feature') {
+      addGeometry(json.geometry, json.properties || {});
+    } else {
+      addGeometry(json, {});
+    }
+    return data;
+  }
+
+  /**
+   * Read TCX activities and courses (one track each) and their course points
+   */
+  function parseTcxTrack(doc) {
+    const data = { tracks: [], waypoints: [] };
+    const containers = elementsByLocalName(doc, 'Activity').concat(elementsByLocalName(doc, 'Course'));
+
+    containers.forEach(container => {
+      const segments = elementsByLocalName(container, 'Track').map(track => {
+        return elementsByLocalName(track, 'Trackpoint').map(trackpoint => createTrackPoint(
+          parseFloat(readLocalText(trackpoint, 'LatitudeDegrees')),
+          parseFloat(readLocalText(trackpoint, 'LongitudeDegrees')),
+          parseFloat(readLocalText(trackpoint, 'AltitudeMeters')),
+          Date.parse(readLocalText(trackpoint, 'Time')),
+          parseFloat(readLocalText(trackpoint, 'HeartRateBpm')),
+          parseFloat(readLocalText(trackpoint, 'Cadence'))
+        )).filter(Boolean);
+      });
+      data.tracks.push({
+        name: readLocalText(container, 'Name') || readLocalText(container, 'Id'),
+        segments: segments
+      });
+    });
+
+    elementsByLocalName(doc, 'CoursePoint').forEach(coursePoint => {
+      const point = createTrackPoint(
+        parseFloat(readLocalText(coursePoint, 'LatitudeDegrees')),
+        parseFloat(readLocalText(coursePoint, 'LongitudeDegrees')),
+        parseFloat(readLocalText(coursePoint, 'AltitudeMeters'))
+      );
+      if (point) {
+        data.waypoints.push(Object.assign({
+          name: readLocalText(coursePoint, 'Name'),
+          desc: readLocalText(coursePoint, 'Notes'),
+          sym: readLocalText(coursePoint, 'PointType')
+        }, point));
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Read one FIT field value; returns null for the format's "invalid" markers
+   */
+  function readFitValue(view, offset, size, baseType, littleEndian) {
+    const type = baseType & 0x1F;
+    if (type === 0x07) {
+      let text = '';
+      for (let i = 0; i < size && view.getUint8(offset + i); i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+      }
+      return text;
+    }
+
+    const signed = type === 0x01 || type === 0x03 || type === 0x05;
+    let value;
+    let invalid;
+    if (size === 1) {
+      value = signed ? view.getInt8(offset) : view.getUint8(offset);
+      invalid = signed ? 0x7F : 0xFF;
+    } else if (size === 2) {
+      value = signed ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian);
+      invalid = signed ? 0x7FFF : 0xFFFF;
+    } else if (size === 4) {
+      value = signed ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian);
+      invalid = signed ? 0x7FFFFFFF : 0xFFFFFFFF;
+    } else {
+      return null;
+    }
+    // The "z" types (uint8z, uint16z, uint32z) mark missing values with 0
+    const zeroInvalid = type === 0x0A || type === 0x0B || type === 0x0C;
+    return value === invalid || (zeroInvalid && value === 0) ? null : value;
+  }
+
+  /**
+   * Read the record (track point) and course point messages of a FIT file
+   */
+  function parseFitTrack(buffer) {
+    const view = new DataView(buffer);
+    const headerSize = view.getUint8(0);
+    const end = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength);
+    const definitions = {};
+    const points = [];
+    const waypoints = [];
+    let offset = headerSize;
+    let lastTimestamp = 0;
+
+    while (offset < end) {
+      const header = view.getUint8(offset);
+      offset += 1;
+
+      if (!(header & 0x80) && (header & 0x40)) {
+        // Definition message
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const definition = {
+          littleEndian: littleEndian,
+          globalNumber: view.getUint16(offset + 2, littleEndian),
+          fields: [],
+          developerSize: 0
+        };
+        const fieldCount = view.getUint8(offset + 4);
+        offset += 5;
+        for (let i = 0; i < fieldCount; i++, offset += 3) {
+          definition.fields.push({
+            number: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            baseType: view.getUint8(offset + 2)
+          });
+        }
+        if (header & 0x20) {
+          const developerCount = view.getUint8(offset);
+          offset += 1;
+          for (let i = 0; i < developerCount; i++, offset += 3) {
+            definition.developerSize += view.getUint8(offset + 1);
+          }
+        }
+        definitions[header & 0x0F] = definition;
+        continue;
+      }
+
+      // Data message, either with a normal or a compressed timestamp header
+      const compressed = Boolean(header & 0x80);
+      const definition = definitions[compressed ? (header >> 5) & 0x03 : header & 0x0F];
+      if (!definition) {
+        throw new Error('FIT data message without definition');
+      }
+
+      const values = {};
+      definition.fields.forEach(field => {
+        values[field.number] = readFitValue(view, offset, field.size, field.baseType, definition.littleEndian);
+        offset += field.size;
+      });
+      offset += definition.developerSize;
+
+      if (compressed) {
+        const timeOffset = header & 0x1F;
+        let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) {
+          timestamp += 0x20;
+        }
+        values[253] = timestamp;
+      }
+      if (values[253] !== null && values[253] !== undefined) {
+        lastTimestamp = values[253];
+      }
+
+      if (definition.globalNumber === FIT_MESSAGE_RECORD) {
+        // enhanced_altitude (78) and altitude (2) share scale 5 and offset 500
+        const altitude = values[78] !== null && values[78] !== undefined ? values[78] : values[2];
+        const point = createTrackPoint(
+          values[0] * FIT_SEMICIRCLES_TO_DEGREES,
+          values[1] * FIT_SEMICIRCLES_TO_DEGREES,
+          altitude !== null && altitude !== undefined ? altitude / 5 - 500 : NaN,
+          values[253] ? (values[253] + FIT_EPOCH_OFFSET_S) * 1000 : NaN,
+          values[3] === null ? NaN : values[3],
+          values[4] === null ? NaN : values[4]
+        );
+        if (point && values[0] !== null && values[1] !== null) {
+          points.push(point);
+        }
+      } else if (definition.globalNumber === FIT_MESSAGE_COURSE_POINT) {
+        const point = createTrackPoint(values[2] * FIT_SEMICIRCLES_TO_DEGREES, values[3] * FIT_SEMICIRCLES_TO_DEGREES);
+        if (point && values[2] !== null && values[3] !== null) {
+          waypoints.push(Object.assign({
+            name: values[6] || '',
+            desc: '',
+            sym: FIT_COURSE_POINT_SYMBOLS[values[5]] || ''
+          }, point));
+        }
+      }
+    }
+
+    return { tracks: [{ name: '', segments: [points] }], waypoints: waypoints };
+  }
+
+  /**
+   * Write parsed tracks and waypoints as GPX 1.1, with heart rate and cadence
+   * in Garmin's TrackPointExtension where L.GPX reads them
+   */
+  function serializeGpx(data) {
+    const tracks = data.tracks
+      .map(track => Object.assign({}, track, { segments: track.segments.filter(segment => segment.length > 1) }))
+      .filter(track => track.segments.length);
+    if (!tracks.length) {
+      throw new Error('No track points found');
+    }
+
+    const tag = (name, value) => (value === null || value === undefined || value === '' ? '' : `<${name}>${escapeHtml(value)}</${name}>`);
+
+    const waypoints = data.waypoints.map(waypoint => `<wpt lat="${waypoint.lat}" lon="${waypoint.lng}">` +
+      tag('ele', waypoint.ele) + tag('name', waypoint.name) + tag('desc', waypoint.desc) + tag('sym', waypoint.sym) +
+      '</wpt>').join('');
+
+    const body = tracks.map(track => '<trk>' + tag('name', track.name) + track.segments.map(segment => '<trkseg>' +
+      segment.map(point => {
+        const extensions = tag('gpxtpx:hr', point.hr) + tag('gpxtpx:cad', point.cad);
+        return `<trkpt lat="${point.lat}" lon="${point.lng}">` +
+          tag('ele', point.ele) +
+          tag('time', point.time === null ? null : new Date(point.time).toISOString()) +
+          (extensions ? `<extensions><gpxtpx:TrackPointExtension>${extensions}</gpxtpx:TrackPointExtension></extensions>` : '') +
+          '</trkpt>';
+      }).join('') + '</trkseg>').join('') + '</trk>').join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+      `<gpx version="1.1" creator="${CONFIG.GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" ` +
+      'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">' +
+      waypoints + body + '</gpx>';
+  }
+
+  /**
+   * Convert the content of a track file to GPX text
+   */
+  function convertTrackToGpx(buffer, url) {
+    const bytes = new Uint8Array(buffer);
+    const format = detectTrackFormat(url, bytes);
+    if (format !== 'gpx' && bytes.length > CONFIG.TRACK_CONVERT_MAX_BYTES) {
+      throw new Error(`${format.toUpperCase()} files over ${Math.round(CONFIG.TRACK_CONVERT_MAX_BYTES / 1024 / 1024)} MB are not converted, export the recording as GPX`);
+    }
+    if (format === 'fit') {
+      return serializeGpx(parseFitTrack(buffer));
+    }
+
+    const text = decodeTrackText(bytes);
+    if (format === 'gpx') {
+      return text;
+    }
+    if (format === 'geojson') {
+      return serializeGpx(parseGeoJsonTrack(JSON.parse(text)));
+    }
+    const doc = parseTrackXml(text);
+    return serializeGpx(format === 'kml' ? parseKmlTrack(doc) : parseTcxTrack(doc));
+  }
+
+  /**
+   * Fetch a track file in any supported format as GPX text, ready to be passed to L.GPX
+   * @param {boolean} [cached] - Go through the track cache (see TRACK CACHE)
+   */
+  function fetchTrackSource(url, cached) {
+    if (cached) {
+      return fetchCachedTrackSource(url);
+    }
+    return requestTrackFile(url).then(file => convertTrackToGpx(file.buffer, url));
+  }
+
+  /**
+   * Download a track file with the validator (ETag or Last-Modified) of the response
+   * @returns {Promise<Object>} { buffer, validator } - validator is null when the server sends neither
+   */
+  function requestTrackFile(url, init) {
+    return fetch(url, init).then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const validator = response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+      return response.arrayBuffer().then(buffer => ({ buffer: buffer, validator: validator }));
+    });
+  }
+
+  // ============================================================================
+  // PRIVACY ZONES
+  // ============================================================================
+
+  /**
+   * Blob URLs of the trimmed track downloads per canvas, revoked on destroy
+   */
+  const trackDownloads = new WeakMap();
+
+  /**
+   * Cell hashes of each zone list as a Set, for quick lookups (zones array -> Set)
+   */
+  const privacyCellSets = new WeakMap();
+
+  /**
+   * Validate a list of privacy zones: the FNV-1a hashes of the grid cells they cover
+   * The hashes can be brute-forced near the visible track, so they do not keep a zone secret (see README).
+   */
+  function normalizePrivacyZones(zones) {
+    if (!Array.isArray(zones)) {
+      return [];
+    }
+    return zones.filter(cell => Number.isInteger(cell) && cell >= 0 && cell <= 0xffffffff);
+  }
+
+  /**
+   * Read the data-privacy-zones attribute of a tour map
+   */
+  function parsePrivacyZones(canvas) {
+    const raw = canvas?.getAttribute('data-privacy-zones');
+    if (!raw) {
+      return [];
+    }
+    try {
+      return normalizePrivacyZones(JSON.parse(decodeHTMLEntities(raw)));
+    } catch (err) {
+      console.error('[Tours] Failed to parse privacy zones', err);
+      return [];
+    }
+  }
+
+  /**
+   * FNV-1a hash of the grid cell holding a point, the same as tour-privacy-cell.html
+   */
+  function hashPrivacyCell(lat, lng) {
+    const key = `${Math.floor(lat / CONFIG.PRIVACY_CELL_DEGREES)},${Math.floor(lng / CONFIG.PRIVACY_CELL_DEGREES)}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Whether a point lies in one of the zones, i.e. in one of their grid cells
+   */
+  function isInPrivacyZone(lat, lng, zones) {
+    if (!zones.length) {
+      return false;
+    }
+    let cells = privacyCellSets.get(zones);
+    if (!cells) {
+      cells = new Set(zones);
+      privacyCellSets.set(zones, cells);
+    }
+    return cells.has(hashPrivacyCell(lat, lng));
+  }
+
+  /**
+   * Remove the track points, route points and waypoints inside the zones from GPX text
+   * A track that leaves and re-enters a zone is split into segments, so no line is drawn across it.
+   * @returns {string} GPX text (unchanged without zones)
+   */
+  function applyPrivacyZones(text, zones) {
+    if (!zones || !zones.length) {
+      return text;
+    }
+
+    const doc = parseTrackXml(text);
+    const isHidden = element => isInPrivacyZone(parseFloat(element.getAttribute('lat')), parseFloat(element.getAttribute('lon')), zones);
+
+    elementsByLocalName(doc, 'wpt').filter(isHidden).forEach(waypoint => waypoint.remove());
+
+    [['trkseg', 'trkpt'], ['rte', 'rtept']].forEach(([containerName, pointName]) => {
+      elementsByLocalName(doc, containerName).forEach(container => {
+        const containers = [container];
+        let target = container;
+        let targetHasPoints = false;
+        let gap = false;
+
+        elementsByLocalName(container, pointName).forEach(point => {
+          if (isHidden(point)) {
+            point.remove();
+            gap = targetHasPoints;
+            return;
+          }
+          if (gap) {
+            const next = container.cloneNode(false);
+            target.parentNode.insertBefore(next, target.nextSibling);
+            containers.push(next);
+            target = next;
+            gap = false;
+          }
+          if (point.parentNode !== target) {
+            target.appendChild(point);
+          }
+          targetHasPoints = true;
+        });
+
+        containers
+          .filter(element => !elementsByLocalName(element, pointName).length)
+          .forEach(element => element.remove());
+      });
+    });
+
+    return new XMLSerializer().serializeToString(doc);
+  }
+
+  /**
+   * Trim GPX text by privacy zones; huge recordings are trimmed in the track worker (see TRACK WORKER)
+   * @returns {Promise<string>} GPX text (unchanged without zones)
+   */
+  function trimPrivacyZones(text, zones) {
+    if (!zones || !zones.length || !shouldUseTrackWorker(text)) {
+      return Promise.resolve(applyPrivacyZones(text, zones));
+    }
+    return requestTrackWorker({ task: 'trim', text: text, zones: zones }).catch(err => {
+      console.warn('[Tours] Track worker failed, trimming on the main thread', err);
+      return applyPrivacyZones(text, zones);
+    });
+  }
+
+  /**
+   * Fetch a track of a tour map as GPX text, trimmed by the tour's privacy zones
+   */
+  function fetchTourTrack(canvas, url) {
+    return fetchTrackSource(url, canvas.hasAttribute('data-track-cache')).then(text => trimPrivacyZones(text, parsePrivacyZones(canvas)));
+  }
+
+  /**
+   * Point the download links of a tour with privacy zones at the trimmed GPX
+   * The template renders these links without a URL, so the raw upload is never offered.
+   */
+  function enableTrackDownloads(canvas, texts) {
+    const links = canvas.closest('.tour-entry')?.querySelectorAll('a[data-tour-download]:not([href])') || [];
+    if (!links.length) {
+      return;
+    }
+
+    const urls = trackDownloads.get(canvas) || [];
+    links.forEach(link => {
+      const text = texts[parseInt(link.getAttribute('data-tour-download'), 10)];
+      if (!text) {
+        // Failed in the preview; the map tries again
+        return;
+      }
+      const gpx = text.startsWith('<?xml') ? text : `<?xml version="1.0" encoding="UTF-8"?>\n${text}`;
+      const url = URL.createObjectURL(new Blob([gpx], { type: 'application/gpx+xml' }));
+      urls.push(url);
+      link.href = url;
+      link.closest('.gpx-download-link').hidden = false;
+    });
+    trackDownloads.set(canvas, urls);
+    syncExportMenu(canvas);
+  }
+
+  /**
+   * Hide the trimmed downloads again and release their Blob URLs
+   */
+  function disableTrackDownloads(canvas) {
+    const urls = trackDownloads.get(canvas);
+    if (!urls) {
+      return;
+    }
+    urls.forEach(url => URL.revokeObjectURL(url));
+    canvas.closest('.tour-entry')?.querySelectorAll('a[data-tour-download]').forEach(link => {
+      link.removeAttribute('href');
+      link.closest('.gpx-download-link').hidden = true;
+    });
+    trackDownloads.delete(canvas);
+    syncExportMenu(canvas);
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  /**
+   * Styles of the route card SVG (self-contained, so it renders the same as PNG and in print)
+   */
+  const ROUTE_CARD_STYLE = [
+    "text{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;fill:#111}",
+    '.tour-card-title{font-size:44px;font-weight:700}',
+    '.tour-card-meta,.tour-card-label,.tour-card-axis{font-size:22px;fill:#666}',
+    '.tour-card-value{font-size:40px;font-weight:700}',
+    '.tour-card-heading{font-size:30px;font-weight:700}',
+    '.tour-card-peak{font-size:24px}',
+    '.tour-card-peak-details{fill:#666}',
+    '.tour-card-panel{fill:#f5f5f5}',
+    '.tour-card-profile-area{fill:rgba(29,78,216,0.15)}',
+    '.tour-card-profile-line{fill:none;stroke:#1d4ed8;stroke-width:2}',
+    '.tour-map-preview-outline{fill:none;stroke:#fff;stroke-width:8;stroke-linejoin:round;stroke-linecap:round}',
+    '.tour-map-preview-track{fill:none;stroke-width:4;stroke-linejoin:round;stroke-linecap:round}',
+    '.tour-map-preview-start{fill:#16a34a;stroke:#fff;stroke-width:2}',
+    '.tour-map-preview-end{fill:#dc2626;stroke:#fff;stroke-width:2}',
+    '.tour-map-preview-peak{fill:#f97316;stroke:#fff;stroke-width:2}'
+  ].join('');
+
+  /**
+   * Show the export menu of a tour only while it offers something
+   */
+  function syncExportMenu(canvas) {
+    const menu = canvas.closest('.tour-entry')?.querySelector('[data-tour-export]');
+    if (menu) {
+      menu.hidden = !menu.querySelector('.tour-export-list > li:not([hidden])');
+    }
+  }
+
+  /**
+   * Title of a tour, from the heading of its <section class="tour-entry">
+   */
+  function getTourTitle(canvas) {
+    const heading = canvas.closest('.tour-entry')?.querySelector('header h3');
+    return heading ? heading.textContent.trim() : '';
+  }
+
+  /**
+   * Read the points of every day from the drawn track lines
+   * @returns {Array} [{ name, color, segments: [[{ lat, lng, ele, time }]] }]
+   */
+  function collectExportTracks(days, i18n) {
+    return days.map(day => ({
+      name: days.length > 1 ? i18n.t('day_label', { day: day.number }) : '',
+      color: day.color,
+      segments: collectTrackSamples(day.lines).map(samples => samples.latLngs.map(latLng => {
+        const ele = latLng.meta?.ele;
+        const time = readPointTime(latLng);
+        return {
+          lat: latLng.lat,
+          lng: latLng.lng,
+          ele: typeof ele === 'number' && isFinite(ele) ? ele : null,
+          time: isFinite(time) ? time : null
+        };
+      }))
+    })).filter(track => track.segments.length);
+  }
+
+  /**
+   * Peaks of a tour as export waypoints, once per coordinate
+   */
+  function collectExportPeaks(peaks) {
+    const peakIndex = groupPeaksByCoordinate(peaks);
+    return Object.keys(peakIndex)
+      .map(key => peakIndex[key])
+      .filter(peak => isValidCoordinate(peak.lat, peak.lng))
+      .map(peak => ({ lat: peak.lat, lng: peak.lng, ele: peak.elevation, name: peak.name || '' }));
+  }
+
+  /**
+   * Rank the points of a segment by the Douglas-Peucker tolerance at which they are kept
+   * A point never outranks the split that created its range, so keeping the N best
+   * points is always a valid simplification. Start and end rank highest.
+   */
+  function rankSegmentPoints(points) {
+    const lngScale = Math.cos(points[0].lat * DEG_TO_RAD);
+    const xs = points.map(point => point.lng * lngScale);
+    const ys = points.map(point => point.lat);
+    const ranks = new Array(points.length).fill(0);
+    ranks[0] = Infinity;
+    ranks[points.length - 1] = Infinity;
+
+    const ranges = [[0, points.length - 1, Infinity]];
+    while (ranges.length) {
+      const [first, last, limit] = ranges.pop();
+      const dx = xs[last] - xs[first];
+      const dy = ys[last] - ys[first];
+      const lengthSquared = dx * dx + dy * dy;
+      let farthest = -1;
+      let farthestDistance = -1;
+      for (let i = first + 1; i < last; i++) {
+        const t = lengthSquared > 0
+          ? Math.min(Math.max(((xs[i] - xs[first]) * dx + (ys[i] - ys[first]) * dy) / lengthSquared, 0), 1)
+          : 0;
+        const ex = xs[first] + t * dx - xs[i];
+        const ey = ys[first] + t * dy - ys[i];
+        const distance = ex * ex + ey * ey;
+        if (distance > farthestDistance) {
+          farthestDistance = distance;
+          farthest = i;
+        }
+      }
+      if (farthest < 0) {
+        continue;
+      }
+      const rank = Math.min(farthestDistance, limit);
+      ranks[farthest] = rank;
+      ranges.push([first, farthest, rank], [farthest, last, rank]);
+    }
+    return ranks;
+  }
+
+  /**
+   * Reduce tracks to a point budget across all days, keeping the points that shape them most
+   */
+  function simplifyExportTracks(tracks, budget) {
+    const candidates = [];
+    const flags = tracks.map(track => track.segments.map(points => {
+      const keep = new Array(points.length).fill(false);
+      rankSegmentPoints(points).forEach((rank, index) => candidates.push({ rank: rank, keep: keep, index: index }));
+      return keep;
+    }));
+
+    // Start and end of every segment stay even when the budget is smaller
+    const endpoints = candidates.filter(candidate => candidate.rank === Infinity).length;
+    candidates.sort((a, b) => (b.rank > a.rank) - (b.rank < a.rank));
+    candidates.slice(0, Math.max(budget, endpoints)).forEach(candidate => {
+      candidate.keep[candidate.index] = true;
+    });
+
+    return tracks.map((track, trackIndex) => Object.assign({}, track, {
+      segments: track.segments.map((points, segmentIndex) => points.filter((point, index) => flags[trackIndex][segmentIndex][index]))
+    }));
+  }
+
+  /**
+   * Write tracks and peaks as GPX 1.1: one <trk> per day, one <trkseg> per segment
+   */
+  function buildExportGpx(tracks, peaks, title) {
+    const position = point => `lat="${point.lat.toFixed(6)}" lon="${point.lng.toFixed(6)}"`;
+    const elevation = point => typeof point.ele === 'number' ? `<ele>${point.ele.toFixed(1)}</ele>` : '';
+    const name = value => value ? `<name>${escapeHtml(value)}</name>` : '';
+
+    const waypoints = peaks.map(peak => `  <wpt ${position(peak)}>${elevation(peak)}${name(peak.name)}<sym>Summit</sym></wpt>`);
+    const trackElements = tracks.map(track => `  <trk>${name(track.name || title)}\n${track.segments.map(points => `    <trkseg>\n${points.map(point => {
+      const time = point.time ? `<time>${new Date(point.time).toISOString()}</time>` : '';
+      return `      <trkpt ${position(point)}>${elevation(point)}${time}</trkpt>`;
+    }).join('\n')}\n    </trkseg>`).join('\n')}\n  </trk>`);
+
+    return ['<?xml version="1.0" encoding="UTF-8"?>',
+      `<gpx version="1.1" creator="${CONFIG.GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+      `  <metadata>${name(title)}</metadata>`]
+      .concat(waypoints, trackElements, ['</gpx>', ''])
+      .join('\n');
+  }
+
+  /**
+   * Write tracks and peaks as a GeoJSON FeatureCollection ([lng, lat, ele] positions)
+   * Recording times go into a coordTimes property, as most GPX converters do.
+   */
+  function buildExportGeoJson(tracks, peaks, title) {
+    const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    const position = point => typeof point.ele === 'number'
+      ? [round(point.lng, 6), round(point.lat, 6), round(point.ele, 1)]
+      : [round(point.lng, 6), round(point.lat, 6)];
+
+    const trackFeatures = tracks.map(track => {
+      const properties = { name: track.name || title };
+      if (track.segments.every(points => points.every(point => point.time))) {
+        properties.coordTimes = track.segments.map(points => points.map(point => new Date(point.time).toISOString()));
+      }
+      return {
+        type: 'Feature',
+        properties: properties,
+        geometry: { type: 'MultiLineString', coordinates: track.segments.map(points => points.map(position)) }
+      };
+    });
+    const peakFeatures = peaks.map(peak => ({
+      type: 'Feature',
+      properties: { name: peak.name },
+      geometry: { type: 'Point', coordinates: position(peak) }
+    }));
+
+    return JSON.stringify({ type: 'FeatureCollection', features: trackFeatures.concat(peakFeatures) });
+  }
+
+  /**
+   * Convert a #rrggbb color to KML's aabbggrr notation
+   */
+  function toKmlColor(color) {
+    const pattern = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i;
+    const match = pattern.exec(color || '') || pattern.exec(CONFIG.TRACK_COLOR);
+    return `ff${match[3]}${match[2]}${match[1]}`.toLowerCase();
+  }
+
+  /**
+   * Write tracks and peaks as KML 2.2, with each day in its track color
+   */
+  function buildExportKml(tracks, peaks, title) {
+    const coordinates = point => `${point.lng.toFixed(6)},${point.lat.toFixed(6)}${typeof point.ele === 'number' ? ',' + point.ele.toFixed(1) : ''}`;
+    const styles = tracks.map((track, index) => `    <Style id="track-${index + 1}"><LineStyle><color>${toKmlColor(track.color)}</color><width>${CONFIG.TRACK_WEIGHT}</width></LineStyle></Style>`);
+    const placemarks = tracks.map((track, index) => `    <Placemark>
+      <name>${escapeHtml(track.name || title)}</name>
+      <styleUrl>#track-${index + 1}</styleUrl>
+      <MultiGeometry>
+${track.segments.map(points => `        <LineString><tessellate>1</tessellate><coordinates>${points.map(coordinates).join(' ')}</coordinates></LineString>`).join('\n')}
+      </MultiGeometry>
+    </Placemark>`);
+    const peakPlacemarks = peaks.map(peak => `    <Placemark><name>${escapeHtml(peak.name)}</name><Point><coordinates>${coordinates(peak)}</coordinates></Point></Placemark>`);
+
+    return ['<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      `    <name>${escapeHtml(title)}</name>`]
+      .concat(styles, placemarks, peakPlacemarks, ['  </Document>', '</kml>', ''])
+      .join('\n');
+  }
+
+  /**
+   * Collect what the route card shows besides the track
+   * Stats and Gipfelbuch are read from the widget, so the card matches what readers see.
+   */
+  function readRouteCardContent(canvas) {
+    const entry = canvas.closest('.tour-entry');
+    const text = element => element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    const all = selector => entry ? Array.from(entry.querySelectorAll(selector)) : [];
+    return {
+      title: getTourTitle(canvas),
+      meta: text(entry?.querySelector('header .tour-entry-meta')),
+      stats: all('.tour-stats-grid .tour-stat-card:not([hidden])')
+        .map(card => ({
+          label: text(card.querySelector('dt')),
+          value: [text(card.querySelector('.tour-stat-value')), text(card.querySelector('.tour-stat-unit'))].filter(Boolean).join(' ')
+        }))
+        .filter(stat => stat.value),
+      peaks: all('.gipfelbuch-list li')
+        .map(item => ({
+          name: text(item.querySelector('.peak-name, .peak-label')),
+          details: Array.from(item.querySelectorAll('.peak-detail')).map(text).join(' · ')
+        }))
+        .filter(peak => peak.name)
+    };
+  }
+
+  /**
+   * Lay out the one-page route card as SVG: title, track overview, profile, stats and Gipfelbuch
+   */
+  function buildRouteCardSvg(content, tracks, peaks, profile, i18n) {
+    const width = CONFIG.ROUTE_CARD_WIDTH;
+    const height = CONFIG.ROUTE_CARD_HEIGHT;
+    const margin = CONFIG.ROUTE_CARD_MARGIN;
+    const inner = width - 2 * margin;
+    const parts = [];
+    let y = margin;
+
+    parts.push(`<text x="${margin}" y="${y + 44}" class="tour-card-title">${escapeHtml(content.title)}</text>`);
+    y += 64;
+    if (content.meta) {
+      parts.push(`<text x="${margin}" y="${y + 22}" class="tour-card-meta">${escapeHtml(content.meta)}</text>`);
+      y += 40;
+    }
+    y += 24;
+
+    // Track overview: the silhouette of the preview, one path per segment
+    const mapHeight = 760;
+    const segments = [];
+    const colors = [];
+    tracks.forEach(track => track.segments.forEach(points => {
+      segments.push(points.map(point => [point.lat, point.lng]));
+      colors.push(track.color);
+    }));
+    parts.push(`<rect x="${margin}" y="${y}" width="${inner}" height="${mapHeight}" rx="12" class="tour-card-panel"/>`,
+      `<g transform="translate(${margin} ${y})">${buildPreviewShapes(segments, peaks, inner, mapHeight, colors)}</g>`);
+    y += mapHeight + 32;
+
+    if (profile) {
+      const profileHeight = 200;
+      const range = getProfileElevationRange(profile);
+      const paths = buildProfilePaths(profile, range);
+      parts.push(`<svg x="${margin}" y="${y}" width="${inner}" height="${profileHeight}" viewBox="0 0 ${CONFIG.PROFILE_VIEWBOX_WIDTH} ${CONFIG.PROFILE_VIEWBOX_HEIGHT}" preserveAspectRatio="none">` +
+        `<path d="${paths.area}" class="tour-card-profile-area"/><path d="${paths.line}" class="tour-card-profile-line" vector-effect="non-scaling-stroke"/></svg>`,
+        `<text x="${margin + 8}" y="${y + 26}" class="tour-card-axis">${escapeHtml(i18n.number(profile.maxEle, 0))} m</text>`,
+        `<text x="${margin + 8}" y="${y + profileHeight - 10}" class="tour-card-axis">${escapeHtml(i18n.number(profile.minEle, 0))} m</text>`,
+        `<text x="${margin}" y="${y + profileHeight + 28}" class="tour-card-axis">0 km</text>`,
+        `<text x="${width - margin}" y="${y + profileHeight + 28}" text-anchor="end" class="tour-card-axis">${escapeHtml(i18n.number(profile.totalDistance / 1000, 1))} km</text>`);
+      y += profileHeight + 64;
+    }
+
+    if (content.stats.length) {
+      const cellWidth = inner / content.stats.length;
+      content.stats.forEach((stat, index) => {
+        const x = margin + index * cellWidth;
+        parts.push(`<text x="${x}" y="${y + 22}" class="tour-card-label">${escapeHtml(stat.label)}</text>`,
+          `<text x="${x}" y="${y + 70}" class="tour-card-value">${escapeHtml(stat.value)}</text>`);
+      });
+      y += 110;
+    }
+
+    if (content.peaks.length) {
+      parts.push(`<text x="${margin}" y="${y + 30}" class="tour-card-heading">${escapeHtml(i18n.t('peaks_heading'))}</text>`);
+      y += 64;
+      // Two columns; peaks that do not fit are summed up in the last row
+      const lineHeight = 36;
+      const rows = Math.max(1, Math.floor((height - margin - y) / lineHeight));
+      const slots = rows * 2;
+      const shown = content.peaks.length > slots ? slots - 1 : content.peaks.length;
+      content.peaks.slice(0, shown).forEach((peak, index) => {
+        const x = margin + Math.floor(index / rows) * (inner / 2);
+        const details = peak.details ? ` <tspan class="tour-card-peak-details">${escapeHtml(peak.details)}</tspan>` : '';
+        parts.push(`<text x="${x}" y="${y + (index % rows) * lineHeight + 24}" class="tour-card-peak">${index + 1}. ${escapeHtml(peak.name)}${details}</text>`);
+      });
+      if (shown < content.peaks.length) {
+        parts.push(`<text x="${margin + inner / 2}" y="${y + (rows - 1) * lineHeight + 24}" class="tour-card-peak">+ ${content.peaks.length - shown}</text>`);
+      }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      `<style>${ROUTE_CARD_STYLE}</style><rect width="${width}" height="${height}" fill="#fff"/>${parts.join('')}</svg>`;
+  }
+
+  /**
+   * Wrap the route card in an HTML page that prints on one A4 sheet (e.g. to PDF)
+   */
+  function buildRouteCardHtml(svg, title, language) {
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+@page { size: A4 portrait; margin: 0; }
+html, body { margin: 0; background: #fff; }
+svg { display: block; width: 210mm; height: 297mm; margin: 0 auto; }
+@media screen {
+  body { padding: 16px; background: #e5e7eb; }
+  svg { max-width: 100%; height: auto; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.2); }
+}
+</style>
+</head>
+<body>${svg}</body>
+</html>
+`;
+  }
+
+  /**
+   * Rasterize the route card SVG to a PNG
+   * @returns {Promise<Blob>}
+   */
+  function renderRouteCardPng(svg) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+      const image = new Image();
+      image.onload = () => {
+        const raster = document.createElement('canvas');
+        raster.width = CONFIG.ROUTE_CARD_WIDTH;
+        raster.height = CONFIG.ROUTE_CARD_HEIGHT;
+        raster.getContext('2d').drawImage(image, 0, 0);
+        URL.revokeObjectURL(url);
+        raster.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVG could not be rendered'));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Hand a generated file to the browser as a download
+   */
+  function saveExport(content, fileName, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), CONFIG.EXPORT_REVOKE_DELAY_MS);
+  }
+
+  /**
+   * Add simplified GPX, GeoJSON, KML and route card downloads to the export menu
+   * Files are generated from the parsed track when chosen, entirely in the browser.
+   * @param {L.Evented} lifecycle - Fires 'unload' when the tour is torn down (see loadTourDetails())
+   */
+  function addTourExport(canvas, lifecycle, days, peaks, i18n) {
+    const list = canvas.closest('.tour-entry')?.querySelector('[data-tour-export] .tour-export-list');
+    const tracks = collectExportTracks(days, i18n);
+    if (!list || !tracks.length) {
+      return;
+    }
+    const baseName = getTourId(canvas) || 'tour';
+    const exportPeaks = collectExportPeaks(peaks);
+    const items = [];
+
+    function addItem(label, onSelect) {
+      const item = document.createElement('li');
+      item.className = 'tour-export-item';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tour-export-button';
+      button.textContent = label;
+      button.addEventListener('click', onSelect);
+      item.appendChild(button);
+      list.appendChild(item);
+      items.push(item);
+      return item;
+    }
+
+    // Formats the author uploaded are already listed with their original file
+    function hasOriginal(format) {
+      return Boolean(list.querySelector(`.gpx-download-link[data-tour-format="${format}"]:not([hidden])`));
+    }
+
+    function buildRouteCard() {
+      return buildRouteCardSvg(readRouteCardContent(canvas), tracks, exportPeaks, buildElevationProfile(days), i18n);
+    }
+
+    const pointCount = tracks.reduce((total, track) => total + track.segments.reduce((sum, points) => sum + points.length, 0), 0);
+    const budgets = CONFIG.EXPORT_POINT_BUDGETS.filter(budget => budget < pointCount);
+    if (budgets.length) {
+      const select = document.createElement('select');
+      select.className = 'tour-export-points';
+      select.setAttribute('aria-label', i18n.t('export_points_label'));
+      select.innerHTML = budgets
+        .map(budget => `<option value="${budget}">${escapeHtml(i18n.t('export_points', { count: i18n.number(budget, 0) }))}</option>`)
+        .join('');
+      select.value = String(budgets[budgets.length - 1]);
+      addItem(i18n.t('export_simplified'), () => {
+        const budget = parseInt(select.value, 10);
+        saveExport(buildExportGpx(simplifyExportTracks(tracks, budget), exportPeaks, getTourTitle(canvas)), `${baseName}-${budget}.gpx`, 'application/gpx+xml');
+      }).appendChild(select);
+    }
+    if (!hasOriginal('GeoJSON')) {
+      addItem(i18n.t('download_track', { format: 'GeoJSON' }), () => {
+        saveExport(buildExportGeoJson(tracks, exportPeaks, getTourTitle(canvas)), `${baseName}.geojson`, 'application/geo+json');
+      });
+    }
+    if (!hasOriginal('KML')) {
+      addItem(i18n.t('download_track', { format: 'KML' }), () => {
+        saveExport(buildExportKml(tracks, exportPeaks, getTourTitle(canvas)), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+      });
+    }
+    addItem(i18n.t('export_card_png'), () => {
+      renderRouteCardPng(buildRouteCard())
+        .then(blob => saveExport(blob, `${baseName}-card.png`))
+        .catch(err => console.error('[Tours] Failed to render the route card:', err));
+    });
+    addItem(i18n.t('export_card_html'), () => {
+      const language = canvas.closest('[lang]')?.getAttribute('lang') || '';
+      saveExport(buildRouteCardHtml(buildRouteCard(), getTourTitle(canvas), language), `${baseName}-card.html`, 'text/html');
+    });
+
+    syncExportMenu(canvas);
+    lifecycle.on('unload', () => {
+      items.forEach(item => item.remove());
+      syncExportMenu(canvas);
+    });
+  }
+
+  // ============================================================================
+  // TRACK WORKER
+  // ============================================================================
+
+  /**
+   * Recordings with many thousand points are parsed by tour-track-worker.js instead of L.GPX.
+   * The worker sends typed arrays per line; the map draws a copy simplified for its zoom,
+   * while statistics, profile and all other features read the full-resolution points
+   * through getTrackLatLngs(). Without worker support the tracks load through L.GPX as before.
+   */
+  const TRACK_WORKER_URL = document.currentScript && document.currentScript.src
+    ? new URL('tour-track-worker.js', document.currentScript.src).href
+    : null;
+  const TRACK_POINT_TAG_PATTERN = /<(?:trkpt|rtept)\b/g;
+  const trackWorkerRequests = new Map();
+  let trackWorker = null;
+  let trackWorkerFailed = false;
+  let trackWorkerRequestId = 0;
+
+  /**
+   * Whether a GPX text has enough points to be parsed in the track worker
+   * Counting stops at the threshold, so small files are decided quickly.
+   */
+  function shouldUseTrackWorker(source) {
+    if (typeof source !== 'string' || !TRACK_WORKER_URL || trackWorkerFailed || typeof Worker !== 'function') {
+      return false;
+    }
+    TRACK_POINT_TAG_PATTERN.lastIndex = 0;
+    let count = 0;
+    while (count < CONFIG.TRACK_WORKER_MIN_POINTS && TRACK_POINT_TAG_PATTERN.test(source)) {
+      count++;
+    }
+    return count >= CONFIG.TRACK_WORKER_MIN_POINTS;
+  }
+
+  /**
+   * Give up on the worker for this page: pending and later tracks load through L.GPX
+   */
+  function failTrackWorker(err) {
+    trackWorkerFailed = true;
+    if (trackWorker) {
+      trackWorker.terminate();
+      trackWorker = null;
+    }
+    trackWorkerRequests.forEach(request => request.reject(err));
+    trackWorkerRequests.clear();
+  }
+
+  /**
+   * Shared worker for all tours on the page, started on first use
+   */
+  function getTrackWorker() {
+    if (trackWorker) {
+      return trackWorker;
+    }
+    try {
+      trackWorker = new Worker(TRACK_WORKER_URL);
+    } catch (err) {
+      // e.g. the scripts are served from another origin
+      failTrackWorker(err);
+      throw err;
+    }
+    trackWorker.onmessage = event => {
+      const request = trackWorkerRequests.get(event.data.id);
+      if (!request) {
+        return;
+      }
+      trackWorkerRequests.delete(event.data.id);
+      if (event.data.error) {
+        request.reject(new Error(event.data.error));
+      } else {
+        request.resolve(event.data.result);
+      }
+    };
+    trackWorker.onerror = event => {
+      event.preventDefault();
+      failTrackWorker(new Error(event.message || 'Track worker could not be loaded'));
+    };
+    return trackWorker;
+  }
+
+  /**
+   * Send a task to the track worker and resolve with its result
+   */
+  function requestTrackWorker(message) {
+    return new Promise((resolve, reject) => {
+      const worker = getTrackWorker();
+      const id = ++trackWorkerRequestId;
+      trackWorkerRequests.set(id, { resolve: resolve, reject: reject });
+      worker.postMessage(Object.assign({ id: id }, message));
+    });
+  }
+
+  /**
+   * Parse GPX text in the track worker
+   * @returns {Promise<Object>} { root, waypoints, routes, tracks } - see tour-track-worker.js
+   */
+  function parseTrackInWorker(text, separateSegments) {
+    return requestTrackWorker({ text: text, separateSegments: separateSegments });
+  }
+
+  /**
+   * Full-resolution points of a track line, with the meta data leaflet-gpx attaches
+   */
+  function getTrackLatLngs(line) {
+    return line.tourTrack ? readTrackLatLngs(line.tourTrack) : line.getLatLngs();
+  }
+
+  /**
+   * LatLngs of a worker line, built once on first use
+   */
+  function readTrackLatLngs(track) {
+    if (!track.latLngs) {
+      const readNumber = value => (isFinite(value) ? value : null);
+      track.latLngs = Array.from(track.lats, (lat, i) => {
+        const latLng = L.latLng(lat, track.lngs[i]);
+        latLng.meta = {
+          time: isFinite(track.times[i]) ? new Date(track.times[i]) : null,
+          ele: readNumber(track.eles[i]),
+          hr: readNumber(track.hrs[i]),
+          cad: readNumber(track.cads[i])
+        };
+        return latLng;
+      });
+    }
+    return track.latLngs;
+  }
+
+  /**
+   * Points of a worker line worth drawing at a zoom level (cached per level)
+   * Keeps the points whose Douglas-Peucker weight exceeds TRACK_SIMPLIFY_TOLERANCE_PX in meters.
+   */
+  function simplifyTrackLatLngs(track, zoom) {
+    track.levels = track.levels || {};
+    if (!track.levels[zoom]) {
+      const latitude = (track.bounds[0] + track.bounds[2]) / 2;
+      const metersPerPixel = EARTH_CIRCUMFERENCE_METERS * Math.cos(latitude * DEG_TO_RAD) / Math.pow(2, zoom + 8);
+      const tolerance = CONFIG.TRACK_SIMPLIFY_TOLERANCE_PX * metersPerPixel;
+      track.levels[zoom] = readTrackLatLngs(track).filter((latLng, i) => track.weights[i] > tolerance);
+    }
+    return track.levels[zoom];
+  }
+
+  /**
+   * Build a layer from lines parsed by the track worker
+   * It answers the leaflet-gpx getters the plugin reads statistics and the profile from.
+   * Its polylines are redrawn for every zoom level and then fire "simplify", which keeps
+   * the outline (see addTrackOutline) on the same points.
+   */
+  function createCompactLayer(tracks, options) {
+    const lines = tracks.map(track => {
+      const line = L.polyline([], options.polyline_options);
+      line.tourTrack = track;
+      return line;
+    });
+    const layer = L.featureGroup(lines);
+
+    let map = null;
+    const simplify = () => {
+      const zoom = Math.round(map.getZoom());
+      lines.forEach(line => {
+        line.setLatLngs(simplifyTrackLatLngs(line.tourTrack, zoom));
+        line.fire('simplify');
+      });
+    };
+    layer.on('add', () => {
+      map = layer._map;
+      simplify();
+      map.on('zoomend', simplify);
+    });
+    layer.on('remove', () => {
+      map.off('zoomend', simplify);
+      map = null;
+    });
+
+    const sumStat = key => tracks.reduce((total, track) => total + track.stats[key], 0);
+    return Object.assign(layer, {
+      getBounds: () => {
+        const bounds = L.latLngBounds([]);
+        tracks.forEach(track => bounds.extend([[track.bounds[0], track.bounds[1]], [track.bounds[2], track.bounds[3]]]));
+        return bounds;
+      },
+      get_distance: () => sumStat('distance'),
+      get_elevation_gain: () => sumStat('gain'),
+      get_elevation_loss: () => sumStat('loss'),
+      get_moving_time: () => sumStat('moving'),
+      get_elevation_min: () => Math.min(...tracks.map(track => track.stats.min)),
+      get_elevation_max: () => Math.max(...tracks.map(track => track.stats.max)),
+      // [distance in km, elevation] per point; distances run on across lines like in leaflet-gpx
+      get_elevation_data: () => {
+        const data = [];
+        let offset = 0;
+        tracks.forEach(track => {
+          track.lengths.forEach((length, i) => {
+            data.push([(offset + length) / 1000, isFinite(track.eles[i]) ? track.eles[i] : null]);
+          });
+          offset += track.lengths[track.lengths.length - 1];
+        });
+        return data;
+      }
+    });
+  }
+
+  /**
+   * Load GPX text through the track worker, or from the track cache when it has parsed it before
+   * @param {string|null} [cacheKey] - See getTrackCacheKey()
+   * @returns {Promise<Object>} { layer, element } like loadGpxLayer(); element only holds the waypoints
+   */
+  function loadCompactLayer(text, options, cacheKey) {
+    const parse = () => parseTrackInWorker(text, !options.gpx_options.joinTrackSegments).then(parsed => {
+      if (cacheKey) {
+        storeParsedTrack(cacheKey, parsed);
+      }
+      return parsed;
+    });
+    const parsedTrack = cacheKey ? readTrackCache(cacheKey).then(cached => cached || parse()) : parse();
+    return parsedTrack.then(parsed => {
+      const layer = createCompactLayer(parsed.routes.concat(...parsed.tracks), options);
+      // Kept so a single file can still be split into days (see loadTourDays)
+      layer.compactTracks = parsed.tracks;
+      let element = null;
+      try {
+        element = parseTrackXml(`${parsed.root}${parsed.waypoints}</gpx>`);
+      } catch (err) {
+        console.warn('[Tours] Failed to read waypoints', err);
+      }
+      return { layer: layer, element: element };
+    });
+  }
+
+  // ============================================================================
+  // TRACK CACHE
+  // ============================================================================
+
+  /**
+   * Opt-in cache of track files across visits (data-track-cache, from the tours_track_cache
+   * site parameter). IndexedDB keeps the GPX text of each URL together with its ETag or
+   * Last-Modified, and the lines the track worker parsed from it. A cached copy is drawn at
+   * once and revalidated in the background; a changed file shows up on the next visit.
+   * Without IndexedDB (private browsing, blocked storage) tracks load from the network.
+   */
+  const TRACK_CACHE_DB = 'tours-track-cache';
+  const TRACK_CACHE_VERSION = 1;
+  const trackValidators = new Map(); // URL -> validator of the copy handed out on this page
+  const revalidatedTracks = new Set();
+  let trackCacheDatabase = null;
+
+  /**
+   * Open the cache database once per page; resolves null when storage is unavailable
+   * Entries and their usage (size, last use) are kept apart, so eviction never reads a track.
+   */
+  function openTrackCache() {
+    if (!trackCacheDatabase) {
+      trackCacheDatabase = new Promise(resolve => {
+        if (!window.indexedDB) {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(TRACK_CACHE_DB, TRACK_CACHE_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('entries');
+          request.result.createObjectStore('usage').createIndex('usedAt', 'usedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[Tours] Track cache unavailable', request.error);
+          resolve(null);
+        };
+        request.onblocked = () => resolve(null);
+      }).catch(err => {
+        // indexedDB.open throws in some sandboxed frames
+        console.warn('[Tours] Track cache unavailable', err);
+        return null;
+      });
+    }
+    return trackCacheDatabase;
+  }
+
+  /**
+   * Run one transaction on the cache
+   * @param {Function} operation - (entries, usage) => IDBRequest whose result is resolved, or nothing
+   * @returns {Promise} Resolves undefined when the cache is unavailable or fails
+   */
+  function runTrackCache(mode, operation) {
+    return openTrackCache()
+      .then(database => database && new Promise((resolve, reject) => {
+        const transaction = database.transaction(['entries', 'usage'], mode);
+        const request = operation(transaction.objectStore('entries'), transaction.objectStore('usage'));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      }))
+      .then(result => result || undefined)
+      .catch(err => {
+        console.warn('[Tours] Track cache failed', err);
+        return undefined;
+      });
+  }
+
+  /**
+   * Read a cache entry and mark it as recently used
+   */
+  function readTrackCache(key) {
+    return runTrackCache('readwrite', (entries, usage) => {
+      const usageRequest = usage.get(key);
+      usageRequest.onsuccess = () => {
+        if (usageRequest.result) {
+          usage.put(Object.assign(usageRequest.result, { usedAt: Date.now() }), key);
+        }
+      };
+      return entries.get(key);
+    });
+  }
+
+  /**
+   * Store a cache entry, then evict old entries beyond TRACK_CACHE_MAX_BYTES
+   * @param {number} size - Approximate size in bytes
+   */
+  function writeTrackCache(key, value, size) {
+    return runTrackCache('readwrite', (entries, usage) => {
+      entries.put(value, key);
+      usage.put({ size: size, usedAt: Date.now() }, key);
+    }).then(evictTrackCache);
+  }
+
+  /**
+   * Remove a cache entry
+   */
+  function deleteTrackCache(key) {
+    return runTrackCache('readwrite', (entries, usage) => {
+      entries.delete(key);
+      usage.delete(key);
+    });
+  }
+
+  /**
+   * Drop the least recently used entries until the cache fits TRACK_CACHE_MAX_BYTES
+   * Entries of files that changed are never read again, so they leave the same way.
+   */
+  function evictTrackCache() {
+    return runTrackCache('readwrite', (entries, usage) => {
+      let total = 0;
+      const cursorRequest = usage.index('usedAt').openCursor(null, 'prev');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          return;
+        }
+        total += cursor.value.size;
+        if (total > CONFIG.TRACK_CACHE_MAX_BYTES) {
+          entries.delete(cursor.primaryKey);
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Fetch a track file as GPX text through the cache
+   * A cached copy resolves at once and is revalidated in the background (once per page).
+   * Responses without ETag or Last-Modified cannot be revalidated and are not cached.
+   */
+  function fetchCachedTrackSource(url) {
+    const key = `source:${url}`;
+    // Requested together with the cache lookup, so a miss doesn't wait for IndexedDB to open;
+    // on a hit the same response revalidates the cached copy
+    let download = null;
+    if (!revalidatedTracks.has(url)) {
+      revalidatedTracks.add(url);
+      download = requestTrackFile(url, { cache: 'no-cache' });
+      // Handled at once: offline, the request fails before the cache answers and the copy is served
+      download.catch(() => {});
+    }
+    return readTrackCache(key).then(entry => {
+      if (entry) {
+        trackValidators.set(url, entry.validator);
+        if (download) {
+          revalidateTrackSource(url, entry.validator, download);
+        }
+        return entry.text;
+      }
+      return (download || requestTrackFile(url)).then(file => {
+        const text = convertTrackToGpx(file.buffer, url);
+        if (file.validator) {
+          trackValidators.set(url, file.validator);
+          writeTrackCache(key, { validator: file.validator, text: text }, text.length * 2);
+        }
+        return text;
+      });
+    });
+  }
+
+  /**
+   * Check a cached track file against the server and store a changed file for the next visit
+   * The download uses cache: 'no-cache', so the browser revalidates its own HTTP cache and an
+   * unchanged file is usually not downloaded again.
+   * @param {Promise<Object>} download - See requestTrackFile()
+   */
+  function revalidateTrackSource(url, validator, download) {
+    const key = `source:${url}`;
+    download
+      .then(file => {
+        if (!file.validator) {
+          return deleteTrackCache(key);
+        }
+        if (file.validator !== validator) {
+          const text = convertTrackToGpx(file.buffer, url);
+          return writeTrackCache(key, { validator: file.validator, text: text }, text.length * 2);
+        }
+        return null;
+      })
+      .catch(err => console.warn('[Tours] Failed to revalidate cached track:', url, err));
+  }
+
+  /**
+   * Cache key for the parsed form of a track file, or null when it did not come through the cache
+   * Privacy zones change the parsed lines, so they are part of the key.
+   */
+  function getTrackCacheKey(url, zones) {
+    const validator = trackValidators.get(url);
+    return validator ? `parsed:${url}|${validator}|${JSON.stringify(zones || [])}` : null;
+  }
+
+  /**
+   * Store the result of the track worker
+   * The lines are copied right away: the map adds its own fields to them later.
+   */
+  function storeParsedTrack(key, parsed) {
+    let size = (parsed.root.length + parsed.waypoints.length) * 2;
+    const copyLine = line => {
+      Object.keys(line).forEach(name => {
+        size += ArrayBuffer.isView(line[name]) ? line[name].byteLength : 0;
+      });
+      return Object.assign({}, line);
+    };
+    const copy = Object.assign({}, parsed, {
+      routes: parsed.routes.map(copyLine),
+      tracks: parsed.tracks.map(lines => lines.map(copyLine))
+    });
+    writeTrackCache(key, copy, size);
+  }
+
+  // ============================================================================
+  // MAP INITIALIZATION
+  // ============================================================================
+
+  /**
+   * WeakMap to track initialized maps (prevents race conditions)
+   * Structure: WeakMap<canvas, L.Map|null> - null until the Leaflet map exists
+   */
+  const initializedMaps = new WeakMap();
+
+  /**
+   * Peak marker registry for O(1) lookup during peak click interactions
+   * Structure: WeakMap<canvas, Map<coordKey, marker>>
+   */
+  const peakMarkerRegistry = new WeakMap();
+
+  /**
+   * Validate track URL to prevent potential XSS
+   */
+  function isValidTrackUrl(url) {
+    return isSafeUrl(url);
+  }
+
+  const MAPTILER_ATTRIBUTION = '&copy; <a href="https://www.maptiler.com/copyright/">MapTiler</a> &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+  /**
+   * Available base maps. MapTiler styles are only offered when an API key is set.
+   * Labels come from the "basemap_<key>" strings.
+   */
+  const BASE_LAYERS = {
+    outdoor: {
+      requiresKey: true,
+      url: 'https://api.maptiler.com/maps/outdoor-v2/{z}/{x}/{y}.png?key={apiKey}',
+      options: { maxZoom: 18, attribution: MAPTILER_ATTRIBUTION }
+    },
+    satellite: {
+      requiresKey: true,
+      url: 'https://api.maptiler.com/maps/hybrid/{z}/{x}/{y}.jpg?key={apiKey}',
+      options: { maxZoom: 18, attribution: MAPTILER_ATTRIBUTION }
+    },
+    winter: {
+      requiresKey: true,
+      url: 'https://api.maptiler.com/maps/winter-v2/{z}/{x}/{y}.png?key={apiKey}',
+      options: { maxZoom: 18, attribution: MAPTILER_ATTRIBUTION }
+    },
+    topo: {
+      url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+      options: {
+        maxZoom: 17,
+        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)'
+      }
+    },
+    osm: {
+      url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+      options: {
+        maxZoom: 19,
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      }
+    }
+  };
+
+  /**
+   * Base layer chosen by the reader, applied to every map on the page
+   */
+  let preferredBaseLayer = null;
+
+  /**
+   * Maps with a base layer switcher, kept in sync with the reader's choice
+   * Structure: Set<{ map, layers: Object<key, L.TileLayer> }>
+   */
+  const baseLayerMaps = new Set();
+
+  /**
+   * Add all available base layers with a layer switcher
+   *
+   * Selection order: reader's choice on this page, the requested default
+   * (shortcode or site setting), MapTiler Outdoor with an API key, OpenTopoMap.
+   *
+   * @returns {string} Key of the active base layer
+   */
+  function addBaseLayers(map, maptilerKey, requestedKey, i18n) {
+    const apiKey = maptilerKey && maptilerKey.trim() !== '' ? maptilerKey.trim() : '';
+    const layers = {};
+    const controlLayers = {};
+    Object.keys(BASE_LAYERS).forEach(key => {
+      const definition = BASE_LAYERS[key];
+      if (definition.requiresKey && !apiKey) {
+        return;
+      }
+      const url = definition.url.replace('{apiKey}', encodeURIComponent(apiKey));
+      layers[key] = L.tileLayer(url, definition.options);
+      controlLayers[i18n.t(`basemap_${key}`)] = layers[key];
+    });
+
+    const candidates = [preferredBaseLayer, requestedKey, apiKey ? 'outdoor' : 'topo', 'topo'];
+    const activeKey = candidates.find(key => key && layers[key]);
+    if (requestedKey && !layers[requestedKey]) {
+      console.warn('[Tours] Unknown or unavailable base map:', requestedKey);
+    }
+    layers[activeKey].addTo(map);
+
+    L.control.layers(controlLayers, null, { position: 'topright' }).addTo(map);
+
+    const entry = { map: map, layers: layers };
+    baseLayerMaps.add(entry);
+    map.on('baselayerchange', e => {
+      const key = Object.keys(layers).find(candidate => layers[candidate] === e.layer);
+      if (key) {
+        syncBaseLayers(key, entry);
+      }
+    });
+    map.on('unload', () => baseLayerMaps.delete(entry));
+
+    return activeKey;
+  }
+
+  /**
+   * Remember the reader's base layer choice and apply it to the other maps
+   */
+  function syncBaseLayers(key, source) {
+    preferredBaseLayer = key;
+    baseLayerMaps.forEach(entry => {
+      const target = entry.layers[key];
+      if (entry === source || !target || entry.map.hasLayer(target)) {
+        return;
+      }
+      Object.keys(entry.layers).forEach(candidate => {
+        if (entry.map.hasLayer(entry.layers[candidate])) {
+          entry.map.removeLayer(entry.layers[candidate]);
+        }
+      });
+      target.addTo(entry.map);
+    });
+  }
+
+  /**
+   * L.GPX options shared by all track renderers (no default pins, styled polyline)
+   * @param {boolean} [separateSegments] - Draw each <trkseg> on its own, e.g. around a privacy zone
+   */
+  function createGpxOptions(trackColor, separateSegments) {
+    return {
+      async: true,
+      // Waypoints are parsed and drawn by the plugin itself (see addWaypointMarkers)
+      gpx_options: {
+        parseElements: ['track', 'route'],
+        joinTrackSegments: !separateSegments
+      },
+      marker_options: {
+        startIconUrl: null,
+        endIconUrl: null,
+        shadowUrl: null
+      },
+      polyline_options: {
+        color: trackColor,
+        weight: CONFIG.TRACK_WEIGHT,
+        opacity: CONFIG.TRACK_OPACITY,
+        lineJoin: 'round',
+        lineCap: 'round'
+      }
+    };
+  }
+
+  /**
+   * Load one GPX source (URL or XML string) into an L.GPX layer
+   * Huge recordings go through the track worker instead (see TRACK WORKER).
+   * @param {string|null} [cacheKey] - Keeps the worker's result in the track cache (see getTrackCacheKey())
+   * @returns {Promise<Object>} { layer, element } where element is the parsed GPX document
+   */
+  function loadGpxLayer(source, options, cacheKey) {
+    if (shouldUseTrackWorker(source)) {
+      return loadCompactLayer(source, options, cacheKey).catch(err => {
+        console.warn('[Tours] Track worker failed, parsing on the main thread', err);
+        return parseGpxLayer(source, options);
+      });
+    }
+    return parseGpxLayer(source, options);
+  }
+
+  /**
+   * Parse one GPX source with L.GPX on the main thread
+   */
+  function parseGpxLayer(source, options) {
+    return new Promise((resolve, reject) => {
+      new L.GPX(source, options)
+        .on('loaded', e => resolve({ layer: e.target, element: e.element }))
+        .on('error', err => reject(err));
+    });
+  }
+
+  /**
+   * Split the data-gpx attribute into its track URLs (one per day)
+   */
+  function parseTrackUrls(value) {
+    return String(value || '')
+      .split(';')
+      .map(url => url.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Load the days of a tour: one per track URL, or one per <trk> when a single file is split
+   * @param {Array<string|null>} [sources] - Already fetched GPX text per URL
+   * @returns {Promise<Object>} { layers, documents, texts } - one layer per day, one document and GPX text per file
+   */
+  function loadTourDays(canvas, urls, splitTracks, sources) {
+    const zones = parsePrivacyZones(canvas);
+    const separateSegments = zones.length > 0;
+    const trackColor = readTheme(canvas).track;
+    const texts = [];
+    return Promise.all(urls.map((url, index) => {
+      // Reuse GPX text the preview already downloaded instead of fetching it again
+      const source = sources && sources[index] ? Promise.resolve(sources[index]) : fetchTourTrack(canvas, url);
+      return source.then(text => {
+        texts[index] = text;
+        return loadGpxLayer(text, createGpxOptions(getDayColor(index, trackColor), separateSegments), getTrackCacheKey(url, zones));
+      });
+    }))
+      .then(loaded => {
+        const documents = loaded.map(entry => entry.element);
+        // The track worker has already parsed every <trk>, so its days are built from those lines
+        const compactTracks = urls.length === 1 && splitTracks ? loaded[0].layer.compactTracks : null;
+        if (compactTracks && compactTracks.length > 1) {
+          return {
+            layers: compactTracks.map((lines, index) => createCompactLayer(lines, createGpxOptions(getDayColor(index, trackColor), separateSegments))),
+            documents: documents,
+            texts: texts
+          };
+        }
+        const parts = urls.length === 1 && splitTracks ? splitGpxTracks(documents[0]) : null;
+        if (!parts) {
+          return { layers: loaded.map(entry => entry.layer), documents: documents, texts: texts };
+        }
+        return Promise.all(parts.map((part, index) => loadGpxLayer(part, createGpxOptions(getDayColor(index, trackColor), separateSegments))))
+          .then(split => ({ layers: split.map(entry => entry.layer), documents: documents, texts: texts }));
+      });
+  }
+
+  /**
+   * Parsed tours shared by the preview and the map (canvas -> { ready: Promise<Object>, lifecycle: L.Evented })
+   */
+  const tourDetails = new WeakMap();
+
+  /**
+   * Load a tour once and fill everything that needs no map: statistics, route description, difficulty and exports
+   * The preview shows these before the map is loaded; the map then reuses the parsed tour.
+   * @param {Promise<Array<string|null>>} [sources] - GPX text the preview already fetched
+   * @returns {Promise<Object>} The tour, see prepareTour()
+   */
+  function loadTourDetails(canvas, urls, sources) {
+    const existing = tourDetails.get(canvas);
+    if (existing) {
+      return existing.ready;
+    }
+
+    const i18n = createTranslator(getLocale(canvas));
+    const entry = { ready: null, lifecycle: new L.Evented() };
+    entry.ready = (sources || Promise.resolve(null))
+      .then(texts => loadTourDays(canvas, urls, canvas.hasAttribute('data-multiday'), texts))
+      .then(loaded => {
+        const tour = prepareTour(canvas, loaded, i18n);
+        // Nothing is filled in once the canvas has been destroyed while the track was loading
+        if (tourDetails.get(canvas) === entry) {
+          enableTrackDownloads(canvas, loaded.texts);
+          fillTourDetails(canvas, entry.lifecycle, tour, i18n);
+        }
+        return tour;
+      });
+    entry.ready.catch(() => {
+      // Whoever comes next (the map after the preview) loads the tour again
+      if (tourDetails.get(canvas) === entry) {
+        tourDetails.delete(canvas);
+      }
+    });
+    tourDetails.set(canvas, entry);
+    return entry.ready;
+  }
+
+  /**
+   * Derive days, statistics, waypoints and peaks of a loaded tour; the layers are not on a map yet
+   * @returns {Object} { days, trackLines, waypoints, peaks, missedPeaks, passes, waypointPeaks, stats, difficulty }
+   */
+  function prepareTour(canvas, loaded, i18n) {
+    const trackColor = readTheme(canvas).track;
+    const estimateModel = readEstimateModel(canvas);
+    const days = loaded.layers.map((layer, index) => ({
+      number: index + 1,
+      layer: layer,
+      color: getDayColor(index, trackColor),
+      // Collect track lines once and reuse (performance optimization)
+      lines: collectTrackLines(layer),
+      bounds: layer.getBounds(),
+      stats: getTrackStatistics(layer, estimateModel)
+    }));
+    const trackLines = days.reduce((all, day) => all.concat(day.lines), []);
+
+    const waypoints = loaded.documents.reduce((all, gpxDocument) => all.concat(parseWaypoints(gpxDocument)), []);
+    let peaks = parsePeakData(canvas);
+    const waypointPeaks = !peaks.length && canvas.hasAttribute('data-waypoint-peaks');
+    if (waypointPeaks) {
+      peaks = deriveWaypointPeaks(waypoints, trackLines, i18n);
+    }
+    let missedPeaks = [];
+    let passes = null;
+    if (peaks.length) {
+      const radius = parseFloat(canvas.getAttribute('data-peak-radius')) || CONFIG.PEAK_PASS_RADIUS_METERS;
+      passes = computePeakPasses(peaks, trackLines, radius);
+      if (canvas.getAttribute('data-peak-order') === 'track') {
+        peaks = passes.peaks;
+        missedPeaks = passes.missed;
+        // Only the track order relies on passes; other tours just show fewer Gipfelbuch details
+        missedPeaks.forEach(peak => console.warn('[Tours] Peak is not on the track:', peak.label));
+      } else {
+        peaks = assignPeakPasses(peaks, passes.peaks);
+      }
+    }
+
+    return {
+      days: days,
+      trackLines: trackLines,
+      waypoints: waypoints,
+      peaks: peaks,
+      missedPeaks: missedPeaks,
+      passes: passes,
+      waypointPeaks: waypointPeaks,
+      stats: days.length > 1 ? sumTrackStatistics(days.map(day => day.stats)) : days[0].stats,
+      difficulty: null
+    };
+  }
+
+  /**
+   * Fill the parts of a tour entry that are read from the track alone
+   * @param {L.Evented} lifecycle - Fires 'unload' when the canvas is destroyed
+   */
+  function fillTourDetails(canvas, lifecycle, tour, i18n) {
+    if (tour.passes) {
+      if (canvas.getAttribute('data-peak-order') === 'track') {
+        renumberPeakList(canvas, tour.passes, i18n);
+      } else {
+        fillPeakListDetails(canvas, tour.peaks, i18n);
+      }
+    }
+    if (tour.waypointPeaks) {
+      fillWaypointPeakList(canvas, tour.peaks, i18n);
+    }
+
+    fillTourStatistics(canvas, tour.stats, i18n);
+    addRouteDescription(canvas, lifecycle, describeRoute(tour.days, tour.stats, tour.peaks, tour.waypoints, i18n));
+    tour.difficulty = addDifficultyCard(canvas, lifecycle, tour.days, tour.trackLines, i18n);
+    addTourExport(canvas, lifecycle, tour.days, tour.peaks, i18n);
+  }
+
+  /**
+   * Draw a loaded tour and wire up everything on the map that depends on its track
+   */
+  function renderTour(canvas, map, tour, fullscreen, i18n) {
+    const days = tour.days;
+    const multiDay = days.length > 1;
+    const theme = readTheme(canvas);
+    // Everything drawn for the tour's own track, so the overlay legend can hide it as a whole
+    const trackLayer = L.featureGroup().addTo(map);
+    days.forEach(day => day.layer.addTo(trackLayer));
+    // When the legend shows the track again, its outlines are re-added above the lines
+    trackLayer.on('add', () => tour.trackLines.forEach(line => line.bringToFront()));
+
+    const bounds = L.latLngBounds([]);
+    days.forEach(day => {
+      if (day.bounds && day.bounds.isValid()) {
+        bounds.extend(day.bounds);
+      }
+    });
+    if (bounds.isValid()) {
+      zoomTrackToMax(map, bounds);
+      // Register map with default bounds for peak click interaction
+      registerMap(canvas, map, bounds, fullscreen);
+    }
+
+    days.forEach(day => {
+      if (day.lines.length) {
+        addTrackOutline(day.lines, trackLayer, day.color, theme.outline);
+        addDirectionArrows(day.lines, map, day.color, trackLayer);
+        addEndpointMarkers(day.lines, trackLayer, multiDay ? day.number : null);
+      }
+    });
+
+    addPeakMarkers(canvas, map, tour.peaks, tour.missedPeaks, i18n);
+    if (canvas.getAttribute('data-waypoints') !== 'false') {
+      addWaypointMarkers(map, tour.waypoints, tour.peaks, i18n);
+    }
+    addTrackOverlays(canvas, map, tour.trackLines, trackLayer, i18n);
+    const photos = addTourPhotos(canvas, map, tour.trackLines, i18n);
+
+    renderDaySelector(canvas, map, days, tour.stats, i18n);
+    if (tour.difficulty) {
+      addDifficultyMarks(map, tour.difficulty, i18n);
+    }
+    const coloring = addTrackColoring(canvas, map, days, trackLayer, i18n);
+
+    const profile = addElevationProfile(canvas, map, days, tour.peaks, i18n);
+    const replay = addTourReplay(canvas, map, days, tour.peaks, i18n);
+    const mapState = mapRegistry.get(canvas);
+    if (mapState) {
+      mapState.profile = profile;
+      mapState.stats = tour.stats;
+      mapState.i18n = i18n;
+      mapState.photos = photos;
+      mapState.coloring = coloring;
+      mapState.difficulty = tour.difficulty;
+      mapState.replay = replay;
+    }
+
+    dispatchTourEvent(canvas, 'map-ready', { map: map });
+  }
+
+  /**
+   * Initialize a single map
+   */
+  function initMap(canvas) {
+    if (!window.L || !canvas) {
+      return;
+    }
+
+    // Use WeakMap to prevent race conditions and double initialization
+    if (initializedMaps.has(canvas)) {
+      return;
+    }
+    initializedMaps.set(canvas, null);
+
+    const trackUrls = parseTrackUrls(canvas.getAttribute('data-gpx'));
+    const invalidUrl = trackUrls.find(url => !isValidTrackUrl(url));
+    if (!trackUrls.length || invalidUrl) {
+      if (invalidUrl) {
+        console.warn('[Tours] Invalid track URL:', invalidUrl);
+        dispatchTourEvent(canvas, 'error', { error: new Error(`Invalid track URL: ${invalidUrl}`), urls: trackUrls });
+      }
+      return;
+    }
 
     const map = L.map(canvas, {
       scrollWheelZoom: false,
       tap: false
     });
+    initializedMaps.set(canvas, map);
+
+    const i18n = createTranslator(getLocale(canvas));
+    addBaseLayers(map, canvas.getAttribute('data-maptiler-key'), canvas.getAttribute('data-basemap'), i18n);
+    const fullscreen = addFullscreenControl(canvas, map, i18n);
+
+    loadTourDetails(canvas, trackUrls, previewSources.get(canvas))
+      .then(tour => {
+        // The map may have been destroyed while the track was loading
+        if (initializedMaps.get(canvas) === map) {
+          renderTour(canvas, map, tour, fullscreen, i18n);
+        }
+      })
+      // Also catches errors while rendering, so they reach the error event instead of going unhandled
+      .catch(err => {
+        if (initializedMaps.get(canvas) !== map) {
+          return;
+        }
+        console.error('[Tours] Failed to load tour map:', trackUrls.join(', '), err);
+        dispatchTourEvent(canvas, 'error', { error: err, urls: trackUrls });
+        // Optional: Show error message to user
+        canvas.innerHTML = `<div class="tour-map-error">${escapeHtml(i18n.t('map_load_error'))}</div>`;
+      });
+  }
+
+  // ============================================================================
+  // TRACK PREVIEW
+  // ============================================================================
+
+  /**
+   * Track files fetched (as GPX text) for the preview, handed on to the map (canvas -> Promise<Array<string|null>>)
+   */
+  const previewSources = new WeakMap();
+
+  const PREVIEW_POINT_PATTERN = /<(?:trkpt|rtept)\b[^>]*>/g;
+  const LAT_ATTRIBUTE_PATTERN = /\blat\s*=\s*["']([^"']+)["']/;
+  const LON_ATTRIBUTE_PATTERN = /\blon\s*=\s*["']([^"']+)["']/;
+
+  /**
+   * Read track and route coordinates from GPX text without building a DOM
+   * @returns {Array} One [[lat, lng], ...] list per file, or per <trk> when splitTracks
+   */
+  function extractPreviewTracks(text, splitTracks) {
+    const chunks = splitTracks ? text.split(/<trk[\s>]/).slice(1) : [text];
+    return chunks.map(chunk => {
+      const points = [];
+      (chunk.match(PREVIEW_POINT_PATTERN) || []).forEach(tag => {
+        const lat = parseFloat((tag.match(LAT_ATTRIBUTE_PATTERN) || [])[1]);
+        const lng = parseFloat((tag.match(LON_ATTRIBUTE_PATTERN) || [])[1]);
+        if (isValidCoordinate(lat, lng)) {
+          points.push([lat, lng]);
+        }
+      });
+      return points;
+    }).filter(points => points.length > 1);
+  }
+
+  /**
+   * Read the preview coordinates of a GPX text; huge recordings are read by the track worker
+   * @returns {Promise<Array>} See extractPreviewTracks()
+   */
+  function readPreviewTracks(text, splitTracks) {
+    if (!shouldUseTrackWorker(text)) {
+      return Promise.resolve(extractPreviewTracks(text, splitTracks));
+    }
+    return requestTrackWorker({ task: 'preview', text: text, splitTracks: splitTracks, maxPoints: CONFIG.PREVIEW_MAX_POINTS })
+      .catch(err => {
+        console.warn('[Tours] Track worker failed, reading the preview on the main thread', err);
+        return extractPreviewTracks(text, splitTracks);
+      });
+  }
 
-    // Check for MapTiler API key, fallback to OpenTopoMap
-    const maptilerKey = canvas.getAttribute('data-maptiler-key');
-    if (maptilerKey && maptilerKey.trim() !== '') {
-      // Use MapTiler Outdoor v2 with high-res tiles
-      L.tileLayer(`https://api.maptiler.com/maps/outdoor-v2/{z}/{x}/{y}.png?key=${encodeURIComponent(maptilerKey)}`, {
-        maxZoom: 18,
-        attribution: '&copy; <a href="https://www.maptiler.com/copyright/">MapTiler</a> &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-      }).addTo(map);
+  /**
+   * Run a callback once the browser is idle, or after a short delay where requestIdleCallback is missing
+   */
+  function whenIdle(callback) {
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(callback);
     } else {
-      // Fallback to OpenTopoMap
-      L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
-        maxZoom: 17,
-        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)'
-      }).addTo(map);
+      setTimeout(callback, CONFIG.PREVIEW_DETAILS_DELAY);
     }
+  }
 
-    const trackColor = CONFIG.TRACK_COLOR;
-    new L.GPX(gpxUrl, {
-      async: true,
-      marker_options: {
-        startIconUrl: null,
-        endIconUrl: null,
-        shadowUrl: null
-      },
-      polyline_options: {
-        color: trackColor,
-        weight: CONFIG.TRACK_WEIGHT,
-        opacity: CONFIG.TRACK_OPACITY,
-        lineJoin: 'round',
-        lineCap: 'round'
+  /**
+   * Draw tracks and peaks as an SVG silhouette (equirectangular, fitted to width x height)
+   */
+  function buildPreviewSvg(tracks, colors, peaks, width, height) {
+    return `<svg class="tour-map-preview-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" aria-hidden="true" focusable="false">${buildPreviewShapes(tracks, peaks, width, height, colors)}</svg>`;
+  }
+
+  /**
+   * SVG shapes of the silhouette: outlined tracks, start/end points and peak triangles
+   * @param {Array<Array>} tracks - [lat, lng] points per track
+   * @param {Array<string>} colors - Stroke color per track
+   */
+  function buildPreviewShapes(tracks, peaks, width, height, colors) {
+    // A loop rather than Math.min(...points): spreading a long recording overflows the call stack
+    let minLat = Infinity;
+    let maxLat = -Infinity;
+    let minLng = Infinity;
+    let maxLng = -Infinity;
+    tracks.forEach(points => points.forEach(([lat, lng]) => {
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+      minLng = Math.min(minLng, lng);
+      maxLng = Math.max(maxLng, lng);
+    }));
+    const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+    const spanX = Math.max((maxLng - minLng) * lngScale, 1e-9);
+    const spanY = Math.max(maxLat - minLat, 1e-9);
+    const padding = Math.min(width, height) * CONFIG.PREVIEW_PADDING;
+    const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    const project = (lat, lng) => [
+      offsetX + (lng - minLng) * lngScale * scale,
+      offsetY + (maxLat - lat) * scale
+    ];
+    const format = ([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`;
+
+    const budget = Math.max(2, Math.floor(CONFIG.PREVIEW_MAX_POINTS / tracks.length));
+    const paths = tracks.map(points => {
+      const step = Math.max(1, Math.ceil(points.length / budget));
+      const sampled = points.filter((point, index) => index % step === 0);
+      if (sampled[sampled.length - 1] !== points[points.length - 1]) {
+        sampled.push(points[points.length - 1]);
+      }
+      return 'M' + sampled.map(point => format(project(point[0], point[1]))).join('L');
+    });
+
+    const outlines = paths.map(d => `<path d="${d}" class="tour-map-preview-outline"/>`).join('');
+    const lines = paths.map((d, index) => `<path d="${d}" stroke="${colors[index]}" class="tour-map-preview-track"/>`).join('');
+
+    const start = project(tracks[0][0][0], tracks[0][0][1]);
+    const lastTrack = tracks[tracks.length - 1];
+    const end = project(lastTrack[lastTrack.length - 1][0], lastTrack[lastTrack.length - 1][1]);
+    const endpoints = `<circle cx="${start[0].toFixed(1)}" cy="${start[1].toFixed(1)}" r="7" class="tour-map-preview-start"/>` +
+      `<circle cx="${end[0].toFixed(1)}" cy="${end[1].toFixed(1)}" r="7" class="tour-map-preview-end"/>`;
+
+    // Peaks just off the track still fit into the padding; far away ones are left out
+    const latMargin = (maxLat - minLat) * CONFIG.PREVIEW_PADDING;
+    const lngMargin = (maxLng - minLng) * CONFIG.PREVIEW_PADDING;
+    const peakMarks = peaks
+      .filter(peak => Math.abs(peak.lat - (minLat + maxLat) / 2) <= (maxLat - minLat) / 2 + latMargin &&
+        Math.abs(peak.lng - (minLng + maxLng) / 2) <= (maxLng - minLng) / 2 + lngMargin)
+      .map(peak => {
+        const [x, y] = project(peak.lat, peak.lng);
+        const r = CONFIG.PREVIEW_PEAK_RADIUS;
+        const corners = [[x, y - r], [x + r, y + r * 0.7], [x - r, y + r * 0.7]];
+        return `<path d="M${corners.map(format).join('L')}Z" class="tour-map-preview-peak"/>`;
+      }).join('');
+
+    return `${outlines}${lines}${endpoints}${peakMarks}`;
+  }
+
+  /**
+   * Replace the preview with the interactive map
+   */
+  function activateMap(canvas) {
+    const preview = canvas.querySelector('.tour-map-preview');
+    const hadFocus = preview && preview.contains(document.activeElement);
+    if (preview) {
+      preview.remove();
+    }
+    initMap(canvas);
+    if (hadFocus) {
+      canvas.focus();
+    }
+  }
+
+  /**
+   * Show a tile-free SVG silhouette of the track; the map loads when the reader activates it
+   */
+  function showTrackPreview(canvas) {
+    if (previewSources.has(canvas) || initializedMaps.has(canvas)) {
+      return;
+    }
+
+    const trackUrls = parseTrackUrls(canvas.getAttribute('data-gpx'));
+    const invalidUrl = trackUrls.find(url => !isValidTrackUrl(url));
+    if (!trackUrls.length || invalidUrl) {
+      if (invalidUrl) {
+        console.warn('[Tours] Invalid track URL:', invalidUrl);
       }
-    })
-    .on('loaded', e => {
-      const bounds = e.target.getBounds();
-      if (bounds) {
-        zoomTrackToMax(map, bounds);
-        // Register map with default bounds for peak click interaction
-        registerMap(canvas, map, bounds);
+      return;
+    }
+
+    const i18n = createTranslator(getLocale(canvas));
+    const preview = document.createElement('button');
+    preview.type = 'button';
+    preview.className = 'tour-map-preview';
+    preview.innerHTML = `<span class="tour-map-preview-hint">${escapeHtml(i18n.t('preview_load'))}</span>`;
+    preview.addEventListener('click', () => activateMap(canvas));
+    canvas.appendChild(preview);
+
+    const sources = Promise.all(trackUrls.map(url => fetchTourTrack(canvas, url).catch(err => {
+      // The map will try the URL again and report the error itself
+      console.warn('[Tours] Failed to load track preview:', url, err);
+      return null;
+    })));
+    previewSources.set(canvas, sources);
+
+    // The silhouette comes straight from the text: no L.GPX parsing while the reader scrolls
+    sources.then(texts => {
+      const splitTracks = texts.length === 1 && canvas.hasAttribute('data-multiday');
+      return Promise.all(texts.map(text => (text ? readPreviewTracks(text, splitTracks) : [])));
+    }).then(lists => {
+      const tracks = lists.reduce((all, list) => all.concat(list), []);
+      if (!preview.isConnected || !tracks.length) {
+        return;
       }
+      const colors = tracks.map((points, index) => getDayColor(tracks.length > 1 ? index : 0, readTheme(canvas).track));
+      const width = CONFIG.PREVIEW_WIDTH;
+      const aspect = canvas.clientWidth ? canvas.clientHeight / canvas.clientWidth : 0;
+      const height = Math.round(width * (aspect > 0 ? aspect : 0.4));
+      preview.insertAdjacentHTML('afterbegin', buildPreviewSvg(tracks, colors, parsePeakData(canvas), width, height));
+    }).catch(err => console.error('[Tours] Failed to draw track preview:', err));
 
-      // Collect track lines once and reuse (performance optimization)
-      const trackLines = collectTrackLines(e.target);
-      if (trackLines.length) {
-        addTrackOutline(trackLines, map, trackColor);
-        addDirectionArrows(trackLines, map, trackColor);
-        addEndpointMarkers(trackLines, map);
+    // Statistics, description, difficulty and exports need the parsed track; they wait until
+    // the browser is idle, or until the map loads it (see loadTourDetails())
+    sources.then(() => whenIdle(() => {
+      if (!preview.isConnected) {
+        return;
       }
+      loadTourDetails(canvas, trackUrls, sources).catch(err => {
+        console.warn('[Tours] Failed to load tour details for the preview:', trackUrls.join(', '), err);
+      });
+    }));
+  }
 
-      addPeakMarkers(canvas, map);
-    })
-    .on('error', err => {
-      console.error('[Tours] Failed to load GPX file:', gpxUrl, err);
-      // Optional: Show error message to user
-      canvas.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Failed to load tour map</div>';
-    })
-    .addTo(map);
+  /**
+   * Bring a canvas that scrolled into view to life: the map itself when eager, otherwise its preview
+   */
+  function revealCanvas(canvas) {
+    if (canvas.hasAttribute('data-tour-eager')) {
+      initMap(canvas);
+    } else {
+      showTrackPreview(canvas);
+    }
   }
 
   // ============================================================================
@@ -778,67 +6292,118 @@
   // ============================================================================
 
   /**
-   * Scroll-based lazy loading fallback for older browsers
+   * Shared IntersectionObserver for all canvases (created on first use)
    */
-  function initScrollFallback(canvases) {
-    let pending = Array.from(canvases);
+  let lazyObserver = null;
 
-    function checkVisibility() {
-      pending = pending.filter(canvas => {
-        if (initializedMaps.has(canvas)) {
-          return false;
-        }
-        const rect = canvas.getBoundingClientRect();
-        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
-        const margin = CONFIG.LAZY_LOAD_MARGIN_PX;
-        if (rect.top < viewportHeight + margin && rect.bottom > -margin) {
-          initMap(canvas);
-          return false;
-        }
-        return true;
-      });
+  /**
+   * Canvases waiting to come into view when IntersectionObserver is unavailable
+   */
+  const pendingCanvases = new Set();
+  let scrollFallbackActive = false;
 
-      // Remove listeners if all maps are initialized
-      if (!pending.length) {
-        window.removeEventListener('scroll', checkVisibility);
-        window.removeEventListener('resize', checkVisibility);
+  /**
+   * Scroll-based lazy loading fallback for older browsers
+   */
+  function checkPendingVisibility() {
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    const margin = CONFIG.LAZY_LOAD_MARGIN_PX;
+    pendingCanvases.forEach(canvas => {
+      const rect = canvas.getBoundingClientRect();
+      if (rect.top < viewportHeight + margin && rect.bottom > -margin) {
+        pendingCanvases.delete(canvas);
+        revealCanvas(canvas);
       }
+    });
+
+    // Remove listeners if all maps are initialized
+    if (!pendingCanvases.size) {
+      stopScrollFallback();
+    }
+  }
+
+  function startScrollFallback() {
+    if (scrollFallbackActive) {
+      return;
     }
+    window.addEventListener('scroll', checkPendingVisibility, { passive: true });
+    window.addEventListener('resize', checkPendingVisibility, { passive: true });
+    scrollFallbackActive = true;
+  }
 
-    window.addEventListener('scroll', checkVisibility, { passive: true });
-    window.addEventListener('resize', checkVisibility, { passive: true });
-    checkVisibility(); // Initial check
+  function stopScrollFallback() {
+    if (!scrollFallbackActive) {
+      return;
+    }
+    window.removeEventListener('scroll', checkPendingVisibility);
+    window.removeEventListener('resize', checkPendingVisibility);
+    scrollFallbackActive = false;
   }
 
   /**
-   * Initialize maps with lazy loading
+   * Reveal a canvas once it comes near the viewport
    */
-  function initMapsWithLazyLoading() {
-    const canvases = document.querySelectorAll('[data-tour-map]');
-    if (!canvases.length) {
+  function observeCanvas(canvas) {
+    if (initializedMaps.has(canvas) || previewSources.has(canvas)) {
       return;
     }
 
     // Check if Intersection Observer is supported
     if (!('IntersectionObserver' in window)) {
       // Fallback: scroll-based lazy loading
-      initScrollFallback(canvases);
+      pendingCanvases.add(canvas);
+      startScrollFallback();
+      checkPendingVisibility(); // Initial check
       return;
     }
 
-    // Use Intersection Observer for lazy loading
-    const observer = new IntersectionObserver(entries => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting && !initializedMaps.has(entry.target)) {
-          initMap(entry.target);
-          observer.unobserve(entry.target);
-        }
+    if (!lazyObserver) {
+      lazyObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            lazyObserver.unobserve(entry.target);
+            revealCanvas(entry.target);
+          }
+        });
+      }, {
+        rootMargin: CONFIG.LAZY_LOAD_MARGIN
       });
-    }, {
-      rootMargin: CONFIG.LAZY_LOAD_MARGIN
-    });
+    }
+    lazyObserver.observe(canvas);
+  }
+
+  /**
+   * Stop waiting for a canvas to come into view
+   */
+  function unobserveCanvas(canvas) {
+    if (lazyObserver) {
+      lazyObserver.unobserve(canvas);
+    }
+    pendingCanvases.delete(canvas);
+    if (!pendingCanvases.size) {
+      stopScrollFallback();
+    }
+  }
+
+  /**
+   * Map canvases in a subtree, including the root itself
+   */
+  function findTourCanvases(root) {
+    const scope = root || document;
+    const canvases = typeof scope.querySelectorAll === 'function'
+      ? Array.from(scope.querySelectorAll('[data-tour-map]'))
+      : [];
+    if (typeof scope.matches === 'function' && scope.matches('[data-tour-map]')) {
+      canvases.unshift(scope);
+    }
+    return canvases;
+  }
 
-    canvases.forEach(canvas => observer.observe(canvas));
+  /**
+   * Initialize maps with lazy loading
+   */
+  function initMapsWithLazyLoading(root) {
+    findTourCanvases(root).forEach(observeCanvas);
   }
 
   // ============================================================================
@@ -853,14 +6418,96 @@
   /**
    * Register a map with its default bounds
    */
-  function registerMap(canvas, map, bounds) {
+  function registerMap(canvas, map, bounds, fullscreen) {
     if (!canvas || !map) {
       return;
     }
     mapRegistry.set(canvas, {
       map: map,
       defaultBounds: bounds,
-      currentPeak: null
+      currentPeak: null,
+      fullscreen: fullscreen || null,
+      profile: null,
+      stats: null,
+      i18n: null,
+      photos: null,
+      coloring: null,
+      replay: null
+    });
+    map.on('unload', () => syncPeakButtons(canvas, null));
+  }
+
+  /**
+   * Callbacks waiting for a map that is still loading (canvas -> function)
+   */
+  const pendingMapActions = new WeakMap();
+
+  /**
+   * Run a callback with the map state of a canvas, loading the map first while it shows the preview
+   * Only the latest callback runs once the map is ready, so repeated clicks don't pile up.
+   */
+  function withMapState(canvas, callback) {
+    const mapState = mapRegistry.get(canvas);
+    if (mapState?.map) {
+      callback(mapState);
+      return;
+    }
+
+    if (!pendingMapActions.has(canvas)) {
+      canvas.addEventListener('tours:map-ready', () => {
+        const action = pendingMapActions.get(canvas);
+        pendingMapActions.delete(canvas);
+        const readyState = mapRegistry.get(canvas);
+        if (action && readyState?.map) {
+          action(readyState);
+        }
+      }, { once: true });
+    }
+    pendingMapActions.set(canvas, callback);
+    if (!initializedMaps.has(canvas)) {
+      activateMap(canvas);
+    }
+  }
+
+  /**
+   * Mark the Gipfelbuch buttons of the selected peak as pressed
+   */
+  function syncPeakButtons(canvas, peakKey) {
+    const buttons = canvas.closest('.tour-entry')?.querySelectorAll('.peak-name[data-peak-lat]') || [];
+    buttons.forEach(button => {
+      const key = coordKey(parseFloat(button.getAttribute('data-peak-lat')), parseFloat(button.getAttribute('data-peak-lng')));
+      button.setAttribute('aria-pressed', String(key === peakKey));
+    });
+  }
+
+  /**
+   * Move keyboard focus into a peak popup opened from the Gipfelbuch
+   * Escape closes the popup; focus then returns to the Gipfelbuch button.
+   */
+  function focusPeakPopup(marker, opener) {
+    const element = marker.getPopup()?.getElement();
+    const content = element?.querySelector('.leaflet-popup-content');
+    if (!content) {
+      return;
+    }
+
+    function handleKeydown(event) {
+      if (event.key === 'Escape') {
+        event.stopPropagation(); // Keep the fullscreen fallback open
+        marker.closePopup();
+      }
+    }
+
+    content.setAttribute('tabindex', '-1');
+    content.focus();
+    element.addEventListener('keydown', handleKeydown);
+    marker.once('popupclose', () => {
+      element.removeEventListener('keydown', handleKeydown);
+      // The popup is already detached, so focus inside it has fallen back to the body
+      const active = document.activeElement;
+      if ((!active || active === document.body || element.contains(active)) && opener.isConnected) {
+        opener.focus();
+      }
     });
   }
 
@@ -869,8 +6516,8 @@
    * OPTIMIZED: Uses peakMarkerRegistry for O(1) lookup instead of O(n) layer iteration
    */
   function handlePeakClick(event) {
-    const peakElement = event.target;
-    if (!peakElement?.classList.contains('peak-name')) {
+    const peakElement = event.target?.closest?.('.peak-name');
+    if (!peakElement) {
       return;
     }
 
@@ -893,11 +6540,16 @@
       return;
     }
 
-    const mapState = mapRegistry.get(mapCanvas);
-    if (!mapState?.map) {
-      return;
-    }
+    // Buttons activated from the keyboard report no clicks (detail 0)
+    const fromKeyboard = event.detail === 0;
+    // In the preview, the map loads first and then flies to the peak
+    withMapState(mapCanvas, mapState => togglePeak(mapCanvas, mapState, peakElement, lat, lng, fromKeyboard));
+  }
 
+  /**
+   * Zoom to a peak chosen in the Gipfelbuch, or back to the whole tour when it is chosen again
+   */
+  function togglePeak(mapCanvas, mapState, peakElement, lat, lng, fromKeyboard) {
     const map = mapState.map;
     const peakLatLng = L.latLng(lat, lng);
     const peakKey = coordKey(lat, lng);
@@ -912,9 +6564,11 @@
         });
       }
       mapState.currentPeak = null;
+      syncPeakButtons(mapCanvas, null);
 
       // Close any open popups
       map.closePopup();
+      dispatchTourEvent(mapCanvas, 'peak-select', { peak: null, source: 'list' });
     } else {
       // Zoom to peak
       const maxZoom = typeof map.getMaxZoom === 'function' ? map.getMaxZoom() : map.options.maxZoom || 18;
@@ -923,6 +6577,11 @@
         easeLinearity: 0.25
       });
       mapState.currentPeak = peakKey;
+      syncPeakButtons(mapCanvas, peakKey);
+      dispatchTourEvent(mapCanvas, 'peak-select', {
+        peak: { label: peakElement.getAttribute('data-peak-label') || '', lat: lat, lng: lng },
+        source: 'list'
+      });
 
       // OPTIMIZED: O(1) lookup instead of O(n) layer iteration
       const markerMap = peakMarkerRegistry.get(mapCanvas);
@@ -931,12 +6590,38 @@
         if (marker?.getPopup?.()) {
           setTimeout(() => {
             marker.openPopup();
+            if (fromKeyboard) {
+              focusPeakPopup(marker, peakElement);
+            }
           }, CONFIG.PEAK_POPUP_DELAY);
         }
       }
     }
   }
 
+  /**
+   * Open the lightbox from the photo gallery below the map
+   * Before the map has loaded, the link simply opens the image.
+   */
+  function handlePhotoClick(event) {
+    const link = event.target?.closest?.('[data-tour-photo-index]');
+    if (!link) {
+      return;
+    }
+
+    const mapCanvas = link.closest('.tour-entry')?.querySelector('[data-tour-map]');
+    const mapState = mapCanvas ? mapRegistry.get(mapCanvas) : null;
+    if (!mapState?.photos) {
+      return;
+    }
+
+    const index = parseInt(link.getAttribute('data-tour-photo-index'), 10);
+    if (isFinite(index)) {
+      event.preventDefault();
+      mapState.photos.open(index, link);
+    }
+  }
+
   /**
    * Initialize peak click handlers
    */
@@ -949,23 +6634,165 @@
     }
     // Use event delegation for better performance
     document.addEventListener('click', handlePeakClick);
+    document.addEventListener('click', handlePhotoClick);
     peakClickHandlerRegistered = true;
   }
 
   /**
-   * Cleanup function for removing event listeners (useful for SPAs)
-   * Call this if you need to teardown the tours plugin
+   * Remove the document-wide click listeners
    */
-  function cleanup() {
+  function removePeakClickHandlers() {
     if (peakClickHandlerRegistered) {
       document.removeEventListener('click', handlePeakClick);
+      document.removeEventListener('click', handlePhotoClick);
       peakClickHandlerRegistered = false;
     }
   }
 
-  // Expose cleanup function for external use if needed
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  /**
+   * Watches the page for inserted and removed tours (opt-in, see observe())
+   */
+  let domObserver = null;
+
+  /**
+   * Tear down one map: Leaflet map, preview, observers and registries
+   * Features release their own listeners and panels on the map's "unload" event.
+   */
+  function destroyMap(canvas) {
+    unobserveCanvas(canvas);
+    const map = initializedMaps.get(canvas);
+    if (map) {
+      map.remove();
+      // Leaflet leaves its classes on the container; a later init starts from a clean canvas
+      Array.from(canvas.classList)
+        .filter(name => name.startsWith('leaflet-'))
+        .forEach(name => canvas.classList.remove(name));
+      canvas.replaceChildren();
+    }
+    canvas.querySelector('.tour-map-preview')?.remove();
+    const details = tourDetails.get(canvas);
+    tourDetails.delete(canvas);
+    if (details) {
+      details.lifecycle.fire('unload');
+    }
+    disableTrackDownloads(canvas);
+    initializedMaps.delete(canvas);
+    previewSources.delete(canvas);
+    pendingMapActions.delete(canvas);
+    mapRegistry.delete(canvas);
+    peakMarkerRegistry.delete(canvas);
+  }
+
+  /**
+   * Set up the tours in a subtree (default: the whole document)
+   * Maps load lazily as usual; calling init again for the same tours is harmless.
+   */
+  function init(root) {
+    initMapsWithLazyLoading(root);
+    initPeakClickHandlers();
+  }
+
+  /**
+   * Tear down the tours in a subtree (default: the whole document)
+   * Without a root, the document-wide listeners and observers are removed as well.
+   */
+  function destroy(root) {
+    findTourCanvases(root).forEach(destroyMap);
+    if (!root || root === document) {
+      removePeakClickHandlers();
+      disconnect();
+      if (lazyObserver) {
+        lazyObserver.disconnect();
+        lazyObserver = null;
+      }
+    }
+  }
+
+  /**
+   * Leaflet map of a tour by its id, or null while it shows the preview or has not loaded
+   */
+  function getMap(tourId) {
+    const entry = document.getElementById(`tour-${tourId}`);
+    const canvas = entry ? entry.querySelector('[data-tour-map]') : null;
+    return (canvas && initializedMaps.get(canvas)) || null;
+  }
+
+  /**
+   * Initialize tours inserted into the page later and destroy removed ones
+   * (infinite scroll, Turbo, tabs, ...)
+   */
+  function observe(root) {
+    if (domObserver || !('MutationObserver' in window)) {
+      return;
+    }
+    domObserver = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.removedNodes.forEach(node => {
+          // Nodes that were only moved are still connected
+          if (node.nodeType === 1 && !node.isConnected) {
+            findTourCanvases(node).forEach(destroyMap);
+          }
+        });
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === 1) {
+            init(node);
+          }
+        });
+      });
+    });
+    domObserver.observe(root || document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Stop watching the page for inserted and removed tours
+   */
+  function disconnect() {
+    if (domObserver) {
+      domObserver.disconnect();
+      domObserver = null;
+    }
+  }
+
   if (typeof window !== 'undefined') {
-    window.ToursPluginCleanup = cleanup;
+    window.Tours = Object.freeze({
+      init: init,
+      destroy: destroy,
+      getMap: getMap,
+      observe: observe,
+      disconnect: disconnect
+    });
+
+    // Kept for existing integrations: tears everything down like Tours.destroy()
+    window.ToursPluginCleanup = () => destroy();
+
+    // Shared building blocks for companion modules (e.g. tour-overview.js)
+    window.ToursPluginCore = Object.freeze({
+      CONFIG: CONFIG,
+      readTheme: readTheme,
+      escapeHtml: escapeHtml,
+      decodeHTMLEntities: decodeHTMLEntities,
+      isValidCoordinate: isValidCoordinate,
+      isValidTrackUrl: isValidTrackUrl,
+      addBaseLayers: addBaseLayers,
+      createGpxOptions: createGpxOptions,
+      loadGpxLayer: loadGpxLayer,
+      fetchTrackSource: fetchTrackSource,
+      getTrackCacheKey: getTrackCacheKey,
+      normalizePrivacyZones: normalizePrivacyZones,
+      trimPrivacyZones: trimPrivacyZones,
+      isInPrivacyZone: isInPrivacyZone,
+      parseTrackUrls: parseTrackUrls,
+      collectTrackLines: collectTrackLines,
+      addTrackOutline: addTrackOutline,
+      addEndpointMarkers: addEndpointMarkers,
+      zoomTrackToMax: zoomTrackToMax,
+      getLocale: getLocale,
+      createTranslator: createTranslator
+    });
   }
 
   // ============================================================================
@@ -973,8 +6800,7 @@
   // ============================================================================
 
   ready(() => {
-    initMapsWithLazyLoading();
-    initPeakClickHandlers();
+    init(document);
   });
 
 })();
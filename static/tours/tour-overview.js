@@ -0,0 +1,584 @@
+/**
+ * Tour Overview - Site-wide map of all tours for the Micro.blog Tours Plugin
+ *
+ * Builds on tour-maps.js (window.ToursPluginCore) and reuses its track styling.
+ *
+ * Features:
+ * - Start markers for every tour, clustered at low zoom
+ * - GPX tracks loaded lazily when a tour marker is expanded
+ * - Popups linking to the post
+ * - Filters by type, region and year
+ */
+(function() {
+  'use strict';
+
+  // ============================================================================
+  // CONFIGURATION
+  // ============================================================================
+
+  const CONFIG = {
+    // Clustering
+    CLUSTER_RADIUS_PX: 48, // Markers closer than this (in screen pixels) are merged
+    CLUSTER_MAX_ZOOM: 12, // Above this zoom level every tour gets its own marker
+    CLUSTER_SIZE_SMALL: 30,
+    CLUSTER_SIZE_LARGE: 40,
+    CLUSTER_LARGE_THRESHOLD: 10,
+
+    // Start markers
+    START_MARKER_SIZE: 22,
+
+    // Initial view
+    SINGLE_TOUR_ZOOM: 12,
+    FALLBACK_CENTER: [47.5, 11.2],
+    FALLBACK_ZOOM: 7,
+
+    // Start positions resolved from the GPX when the shortcode has none
+    START_LOOKUP_CONCURRENCY: 3,
+    START_LOOKUP_BYTES: 65536 // Only the beginning of the file is downloaded
+  };
+
+  // Matches the track and route points of a GPX document
+  const POINT_PATTERN = /<(?:trkpt|rtept)\b[^>]*>/gi;
+
+  // ============================================================================
+  // DATA
+  // ============================================================================
+
+  /**
+   * Parse a JSON data attribute, returning the fallback on failure
+   */
+  function parseJsonAttribute(element, name, fallback, core) {
+    const raw = element.getAttribute(name);
+    if (!raw) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(core.decodeHTMLEntities(raw));
+    } catch (err) {
+      console.error(`[Tours] Failed to parse ${name}`, err);
+      return fallback;
+    }
+  }
+
+  /**
+   * Normalize the collected tour list, dropping entries with unusable track URLs
+   * Multi-day tours list several semicolon-separated track files.
+   */
+  function parseTours(element, core) {
+    const tours = parseJsonAttribute(element, 'data-tours', [], core);
+    if (!Array.isArray(tours)) {
+      return [];
+    }
+    return tours
+      .filter(tour => {
+        const files = tour && tour.id ? core.parseTrackUrls(tour.gpx) : [];
+        return files.length > 0 && files.every(core.isValidTrackUrl);
+      })
+      .map(tour => {
+        const lat = parseFloat(tour.lat);
+        const lng = parseFloat(tour.lng);
+        const privacyZones = core.normalizePrivacyZones(tour.privacy_zones);
+        return {
+          id: String(tour.id),
+          title: tour.title || tour.id,
+          type: tour.type || '',
+          region: tour.region || '',
+          year: tour.year || '',
+          date: tour.date || '',
+          gpxFiles: core.parseTrackUrls(tour.gpx),
+          url: tour.url || '',
+          distanceKm: tour.distance_km || '',
+          elevationM: tour.elevation_m || '',
+          privacyZones: privacyZones,
+          cache: element.hasAttribute('data-track-cache'),
+          // A start inside a privacy zone is read from the trimmed track instead
+          start: core.isValidCoordinate(lat, lng) && !core.isInPrivacyZone(lat, lng, privacyZones) ? L.latLng(lat, lng) : null
+        };
+      });
+  }
+
+  /**
+   * Fetch a track file of a tour as GPX text, trimmed by the tour's privacy zones
+   */
+  function fetchTourTrack(tour, url, core) {
+    return core.fetchTrackSource(url, tour.cache).then(text => core.trimPrivacyZones(text, tour.privacyZones));
+  }
+
+  /**
+   * Read the beginning of a file; the download is cancelled once START_LOOKUP_BYTES have arrived
+   * Streaming needs no Range header, so cross-origin files work without a CORS preflight.
+   */
+  function fetchTextHead(url) {
+    return fetch(url).then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      if (!response.body || typeof response.body.getReader !== 'function') {
+        return response.text();
+      }
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let text = '';
+      function read() {
+        return reader.read().then(chunk => {
+          if (chunk.value) {
+            text += decoder.decode(chunk.value, { stream: true });
+          }
+          if (chunk.done) {
+            return text;
+          }
+          if (text.length >= CONFIG.START_LOOKUP_BYTES) {
+            reader.cancel().catch(() => {});
+            return text;
+          }
+          return read();
+        });
+      }
+      return read();
+    });
+  }
+
+  /**
+   * First track or route point of GPX text that lies outside the tour's privacy zones
+   */
+  function findTrackStart(text, tour, core) {
+    const points = text.match(POINT_PATTERN) || [];
+    for (let i = 0; i < points.length; i++) {
+      const lat = parseFloat((points[i].match(/\blat\s*=\s*["']([^"']+)["']/) || [])[1]);
+      const lng = parseFloat((points[i].match(/\blon\s*=\s*["']([^"']+)["']/) || [])[1]);
+      if (core.isValidCoordinate(lat, lng) && !core.isInPrivacyZone(lat, lng, tour.privacyZones)) {
+        return L.latLng(lat, lng);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the first track point of a tour's first track file
+   * For GPX usually only the beginning of the file is downloaded. KML, GeoJSON, TCX and FIT files
+   * are fetched whole and converted to GPX, since their first point can't be read from a cut-off
+   * file; so are GPX files whose beginning holds no point outside the privacy zones.
+   */
+  function fetchTrackStart(tour, core) {
+    const url = tour.gpxFiles[0];
+    return fetchTextHead(url)
+      .then(text => {
+        const isGpx = /<gpx\b/i.test(text);
+        const start = isGpx ? findTrackStart(text, tour, core) : null;
+        // The beginning of a GPX file may lie entirely inside a privacy zone
+        if (start || (isGpx && text.length < CONFIG.START_LOOKUP_BYTES)) {
+          return start;
+        }
+        return core.fetchTrackSource(url, tour.cache).then(source => findTrackStart(source, tour, core));
+      })
+      .then(start => {
+        if (!start) {
+          console.warn('[Tours] Track file has no start point outside the privacy zones:', url);
+        }
+        return start;
+      })
+      .catch(err => {
+        console.warn('[Tours] Failed to read start of track file:', url, err);
+        return null;
+      });
+  }
+
+  /**
+   * Resolve missing start positions with a small number of parallel requests
+   */
+  function resolveMissingStarts(tours, core, onResolved) {
+    const queue = tours.filter(tour => !tour.start);
+    let active = 0;
+
+    function next() {
+      while (active < CONFIG.START_LOOKUP_CONCURRENCY && queue.length) {
+        const tour = queue.shift();
+        active += 1;
+        fetchTrackStart(tour, core).then(start => {
+          active -= 1;
+          if (start) {
+            tour.start = start;
+            onResolved(tour);
+          }
+          next();
+        });
+      }
+    }
+
+    next();
+  }
+
+  // ============================================================================
+  // FILTERS
+  // ============================================================================
+
+  const FILTER_FIELDS = [
+    { key: 'type', label: 'overview_filter_type', allLabel: 'overview_all_types' },
+    { key: 'region', label: 'overview_filter_region', allLabel: 'overview_all_regions' },
+    { key: 'year', label: 'overview_filter_year', allLabel: 'overview_all_years' }
+  ];
+
+  /**
+   * Build the filter controls from the values present in the tour list
+   */
+  function renderFilters(container, tours, initial, typeLabels, i18n, onChange) {
+    const filters = Object.assign({ type: '', region: '', year: '' }, initial);
+    if (!container) {
+      return filters;
+    }
+
+    FILTER_FIELDS.forEach(field => {
+      const values = Array.from(new Set(tours.map(tour => tour[field.key]).filter(Boolean)));
+      values.sort();
+      if (field.key === 'year') {
+        values.reverse();
+      }
+      if (values.length < 2 && !filters[field.key]) {
+        return;
+      }
+
+      const label = document.createElement('label');
+      label.className = 'tour-overview-filter';
+      const caption = document.createElement('span');
+      caption.textContent = i18n.t(field.label);
+      const select = document.createElement('select');
+      select.name = field.key;
+
+      const allOption = document.createElement('option');
+      allOption.value = '';
+      allOption.textContent = i18n.t(field.allLabel);
+      select.appendChild(allOption);
+
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = field.key === 'type' ? (typeLabels[value] || value) : value;
+        select.appendChild(option);
+      });
+      select.value = filters[field.key];
+
+      select.addEventListener('change', () => {
+        filters[field.key] = select.value;
+        onChange(filters);
+      });
+
+      label.appendChild(caption);
+      label.appendChild(select);
+      container.appendChild(label);
+    });
+
+    return filters;
+  }
+
+  /**
+   * Check whether a tour matches the active filters
+   */
+  function matchesFilters(tour, filters) {
+    return (!filters.type || tour.type === filters.type) &&
+           (!filters.region || tour.region === filters.region) &&
+           (!filters.year || String(tour.year) === String(filters.year));
+  }
+
+  // ============================================================================
+  // MARKERS & CLUSTERING
+  // ============================================================================
+
+  /**
+   * Create the start marker icon for a single tour
+   */
+  function createStartIcon(tour) {
+    const size = CONFIG.START_MARKER_SIZE;
+    const typeClass = tour.type ? ` tour-overview-marker-${tour.type.replace(/[^a-z0-9-]/gi, '')}` : '';
+    return L.divIcon({
+      className: `tour-overview-marker${typeClass}`,
+      iconSize: [size, size],
+      iconAnchor: [Math.round(size / 2), Math.round(size / 2)],
+      popupAnchor: [0, -Math.round(size / 2)],
+      html: '<span aria-hidden="true"></span>'
+    });
+  }
+
+  /**
+   * Create the icon for a cluster of tours
+   */
+  function createClusterIcon(count) {
+    const size = count >= CONFIG.CLUSTER_LARGE_THRESHOLD ? CONFIG.CLUSTER_SIZE_LARGE : CONFIG.CLUSTER_SIZE_SMALL;
+    return L.divIcon({
+      className: 'tour-overview-cluster',
+      iconSize: [size, size],
+      iconAnchor: [Math.round(size / 2), Math.round(size / 2)],
+      html: `<span>${count}</span>`
+    });
+  }
+
+  /**
+   * Group tours by screen-pixel grid cells at the given zoom level
+   */
+  function clusterTours(map, tours, zoom) {
+    if (zoom > CONFIG.CLUSTER_MAX_ZOOM) {
+      return tours.map(tour => [tour]);
+    }
+
+    const cellSize = CONFIG.CLUSTER_RADIUS_PX;
+    const cells = new Map();
+    tours.forEach(tour => {
+      const point = map.project(tour.start, zoom);
+      const key = `${Math.floor(point.x / cellSize)}:${Math.floor(point.y / cellSize)}`;
+      if (!cells.has(key)) {
+        cells.set(key, []);
+      }
+      cells.get(key).push(tour);
+    });
+    return Array.from(cells.values());
+  }
+
+  /**
+   * Build popup content for a tour
+   */
+  function buildPopupContent(tour, typeLabels, core, i18n) {
+    const meta = [typeLabels[tour.type] || tour.type, tour.region, tour.date ? i18n.date(tour.date) : '']
+      .filter(Boolean)
+      .map(core.escapeHtml)
+      .join(' · ');
+    const stats = [];
+    const distanceKm = parseFloat(tour.distanceKm);
+    const elevationM = parseFloat(tour.elevationM);
+    if (isFinite(distanceKm) && distanceKm > 0) {
+      stats.push(`${core.escapeHtml(i18n.number(distanceKm))} km`);
+    }
+    if (isFinite(elevationM) && elevationM > 0) {
+      stats.push(`${core.escapeHtml(i18n.number(elevationM, 0))} m`);
+    }
+    return `<div class="tour-overview-popup">
+        <strong>${core.escapeHtml(tour.title)}</strong>
+        ${meta ? `<div class="tour-overview-popup-meta">${meta}</div>` : ''}
+        ${stats.length ? `<div class="tour-overview-popup-stats">${stats.join(' · ')}</div>` : ''}
+        ${tour.url ? `<a href="${core.escapeHtml(tour.url)}">${core.escapeHtml(i18n.t('overview_view_tour'))}</a>` : ''}
+      </div>`;
+  }
+
+  // ============================================================================
+  // TRACKS
+  // ============================================================================
+
+  /**
+   * Load and draw a tour's GPX track into its own layer group (once)
+   */
+  function loadTourTrack(state, tour, zoomToTrack) {
+    const core = state.core;
+    const existing = state.tracks.get(tour.id);
+    if (existing) {
+      if (!state.map.hasLayer(existing.group)) {
+        existing.group.addTo(state.map);
+      }
+      if (zoomToTrack && existing.bounds) {
+        core.zoomTrackToMax(state.map, existing.bounds);
+      }
+      return;
+    }
+
+    const theme = core.readTheme(state.map.getContainer(), tour.type);
+    const trackColor = theme.track;
+    const group = L.layerGroup().addTo(state.map);
+    const entry = { group: group, bounds: null };
+    state.tracks.set(tour.id, entry);
+
+    Promise.all(tour.gpxFiles.map(url => fetchTourTrack(tour, url, core)
+      .then(text => core.loadGpxLayer(text, core.createGpxOptions(trackColor, tour.privacyZones.length > 0), core.getTrackCacheKey(url, tour.privacyZones)))))
+      .then(loaded => {
+        const trackLines = [];
+        const bounds = L.latLngBounds([]);
+        loaded.forEach(result => {
+          result.layer.addTo(group);
+          trackLines.push(...core.collectTrackLines(result.layer));
+          bounds.extend(result.layer.getBounds());
+        });
+        entry.bounds = bounds.isValid() ? bounds : null;
+        if (trackLines.length) {
+          core.addTrackOutline(trackLines, group, trackColor, theme.outline);
+          core.addEndpointMarkers(trackLines, group);
+        }
+        if (zoomToTrack && entry.bounds) {
+          core.zoomTrackToMax(state.map, entry.bounds);
+        }
+      })
+      .catch(err => {
+        console.error('[Tours] Failed to load track file:', tour.gpxFiles.join(', '), err);
+        state.tracks.delete(tour.id);
+        state.map.removeLayer(group);
+      });
+  }
+
+  /**
+   * Remove loaded tracks of tours hidden by the filters
+   */
+  function syncTrackVisibility(state, visibleIds) {
+    state.tracks.forEach((entry, id) => {
+      const visible = visibleIds.has(id);
+      if (visible && !state.map.hasLayer(entry.group)) {
+        entry.group.addTo(state.map);
+      } else if (!visible && state.map.hasLayer(entry.group)) {
+        state.map.removeLayer(entry.group);
+      }
+    });
+  }
+
+  // ============================================================================
+  // OVERVIEW MAP
+  // ============================================================================
+
+  /**
+   * Get or create the persistent start marker for a tour
+   */
+  function getTourMarker(state, tour) {
+    let marker = state.markers.get(tour.id);
+    if (!marker) {
+      marker = L.marker(tour.start, {
+        icon: createStartIcon(tour),
+        title: tour.title,
+        keyboard: true
+      });
+      marker.bindPopup(buildPopupContent(tour, state.typeLabels, state.core, state.i18n));
+      marker.on('click', () => loadTourTrack(state, tour, true));
+      state.markers.set(tour.id, marker);
+    }
+    return marker;
+  }
+
+  /**
+   * Redraw start markers and clusters for the current zoom and filters
+   */
+  function renderMarkers(state) {
+    const visible = state.tours.filter(tour => tour.start && matchesFilters(tour, state.filters));
+    const nextLayers = new Set();
+
+    clusterTours(state.map, visible, state.map.getZoom()).forEach(group => {
+      if (group.length === 1) {
+        nextLayers.add(getTourMarker(state, group[0]));
+        return;
+      }
+
+      const bounds = L.latLngBounds(group.map(tour => tour.start));
+      const cluster = L.marker(bounds.getCenter(), {
+        icon: createClusterIcon(group.length),
+        title: group.map(tour => tour.title).join(', ')
+      });
+      cluster.on('click', () => {
+        // Expand the cluster by zooming into the area it covers
+        const targetZoom = Math.min(state.map.getBoundsZoom(bounds.pad(0.2)), CONFIG.CLUSTER_MAX_ZOOM + 1);
+        state.map.setView(bounds.getCenter(), Math.max(targetZoom, state.map.getZoom() + 1));
+      });
+      nextLayers.add(cluster);
+    });
+
+    // Tour markers that stay visible are kept, so their open popups survive zooming
+    state.markerLayer.eachLayer(layer => {
+      if (!nextLayers.has(layer)) {
+        state.markerLayer.removeLayer(layer);
+      }
+    });
+    nextLayers.forEach(layer => {
+      if (!state.markerLayer.hasLayer(layer)) {
+        state.markerLayer.addLayer(layer);
+      }
+    });
+
+    syncTrackVisibility(state, new Set(state.tours.filter(tour => matchesFilters(tour, state.filters)).map(tour => tour.id)));
+    return visible;
+  }
+
+  /**
+   * Fit the map to the visible tours
+   */
+  function fitToTours(state, tours) {
+    if (!tours.length) {
+      state.map.setView(CONFIG.FALLBACK_CENTER, CONFIG.FALLBACK_ZOOM);
+      return;
+    }
+    const bounds = L.latLngBounds(tours.map(tour => tour.start));
+    if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+      state.map.setView(bounds.getCenter(), CONFIG.SINGLE_TOUR_ZOOM);
+      return;
+    }
+    state.core.zoomTrackToMax(state.map, bounds.pad(0.1));
+  }
+
+  /**
+   * Initialize one overview map
+   */
+  function initOverview(canvas, core) {
+    if (canvas.hasAttribute('data-tour-overview-ready')) {
+      return;
+    }
+    canvas.setAttribute('data-tour-overview-ready', '');
+
+    const tours = parseTours(canvas, core);
+    const typeLabels = parseJsonAttribute(canvas, 'data-type-labels', {}, core);
+
+    const i18n = core.createTranslator(core.getLocale(canvas));
+
+    const map = L.map(canvas, {
+      scrollWheelZoom: false,
+      tap: false
+    });
+    core.addBaseLayers(map, canvas.getAttribute('data-maptiler-key'), canvas.getAttribute('data-basemap'), i18n);
+
+    const state = {
+      core: core,
+      map: map,
+      tours: tours,
+      typeLabels: typeLabels,
+      i18n: i18n,
+      markers: new Map(),
+      tracks: new Map(),
+      markerLayer: L.layerGroup().addTo(map),
+      filters: null
+    };
+
+    const filterContainer = canvas.closest('.tour-overview')?.querySelector('[data-tour-overview-filters]');
+    state.filters = renderFilters(filterContainer, tours, {
+      type: canvas.getAttribute('data-filter-type') || '',
+      region: canvas.getAttribute('data-filter-region') || '',
+      year: canvas.getAttribute('data-filter-year') || ''
+    }, typeLabels, i18n, () => {
+      map.closePopup();
+      fitToTours(state, renderMarkers(state));
+    });
+
+    fitToTours(state, tours.filter(tour => tour.start && matchesFilters(tour, state.filters)));
+    renderMarkers(state);
+    map.on('zoomend', () => renderMarkers(state));
+
+    // Tours without a known start are placed once their track has been peeked at
+    let refitPending = !tours.some(tour => tour.start);
+    resolveMissingStarts(tours, state.core, () => {
+      const visible = renderMarkers(state);
+      if (refitPending && visible.length) {
+        refitPending = false;
+        fitToTours(state, visible);
+      }
+    });
+  }
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+
+  function ready(fn) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', fn);
+    } else {
+      fn();
+    }
+  }
+
+  ready(() => {
+    const core = window.ToursPluginCore;
+    if (!window.L || !core) {
+      console.warn('[Tours] Overview map requires Leaflet and tour-maps.js');
+      return;
+    }
+    document.querySelectorAll('[data-tour-overview]').forEach(canvas => initOverview(canvas, core));
+  });
+
+})();
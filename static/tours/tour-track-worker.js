@@ -0,0 +1,410 @@
+/**
+ * Tour Track Worker - parses huge GPX recordings off the main thread
+ *
+ * Started by tour-maps.js for tracks above CONFIG.TRACK_WORKER_MIN_POINTS (see TRACK WORKER
+ * there). Workers have no DOMParser, so the GPX text is scanned with regular expressions.
+ * For every line it returns typed arrays with the full-resolution points, the statistics
+ * leaflet-gpx would report, and Douglas-Peucker weights the map uses to draw a simplified
+ * copy of the line for each zoom level.
+ *
+ * It also removes the points inside privacy zones from such recordings (task 'trim'),
+ * which would otherwise need a DOM of the whole file on the main thread, and reads the
+ * few points the track preview draws (task 'preview').
+ *
+ * Message in:  { id, text, separateSegments }, { id, task: 'trim', text, zones }
+ *              or { id, task: 'preview', text, splitTracks, maxPoints }
+ * Message out: { id, result: { root, waypoints, routes, tracks } }, { id, result: text } for 'trim',
+ *              { id, result: [[[lat, lng], ...], ...] } for 'preview', or { id, error }
+ */
+(function() {
+  'use strict';
+
+  // ============================================================================
+  // CONFIGURATION
+  // ============================================================================
+
+  const EARTH_RADIUS_METERS = 6371000; // Same sphere as Leaflet and leaflet-gpx
+  const MAX_POINT_INTERVAL_MS = 15000; // leaflet-gpx counts shorter gaps between points as moving time
+  const DEG_TO_RAD = Math.PI / 180;
+  const PRIVACY_CELL_DEGREES = 0.001; // Same grid as CONFIG.PRIVACY_CELL_DEGREES and tour-privacy-cell.html
+
+  // ============================================================================
+  // PATTERNS
+  // ============================================================================
+
+  const ROOT_PATTERN = /<gpx\b[^>]*>/;
+  const WAYPOINT_PATTERN = /<wpt\b[^>]*?(?:\/>|>[\s\S]*?<\/wpt>)/g;
+  const ROUTE_PATTERN = /<rte\b[^>]*>([\s\S]*?)<\/rte>/g;
+  const TRACK_PATTERN = /<trk\b[^>]*>([\s\S]*?)<\/trk>/g;
+  const SEGMENT_PATTERN = /<trkseg\b[^>]*>([\s\S]*?)<\/trkseg>/g;
+  const POINT_PATTERN = /<(trkpt|rtept)\b([^>]*?)(\/?)>/g;
+  const POINT_TAG_PATTERN = /<(?:trkpt|rtept)\b[^>]*>/g;
+  const POINT_ELEMENT_PATTERN = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>[\s\S]*?<\/\1>)/g;
+  const CONTAINER_PATTERN = /<(trkseg|rte)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  const LAT_PATTERN = /\blat\s*=\s*["']([^"']+)["']/;
+  const LON_PATTERN = /\blon\s*=\s*["']([^"']+)["']/;
+  // Heart rate and cadence sit in extensions under whatever prefix the device uses
+  const CHILD_PATTERNS = {
+    ele: /<ele\b[^>]*>\s*([^<]+)</,
+    time: /<time\b[^>]*>\s*([^<]+)</,
+    hr: /<(?:[\w.-]+:)?hr>\s*([^<]+)</,
+    cad: /<(?:[\w.-]+:)?cad>\s*([^<]+)</
+  };
+
+  // ============================================================================
+  // PARSING
+  // ============================================================================
+
+  /**
+   * Text of a child element, empty when it is missing
+   */
+  function readChildText(body, name) {
+    const match = body ? CHILD_PATTERNS[name].exec(body) : null;
+    return match ? match[1].trim() : '';
+  }
+
+  /**
+   * Read the <trkpt> or <rtept> elements of a GPX fragment, in document order
+   * @returns {Array} [{ lat, lng, ele, time, hr, cad }] - missing values are NaN
+   */
+  function readPoints(fragment) {
+    const points = [];
+    POINT_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = POINT_PATTERN.exec(fragment))) {
+      const lat = LAT_PATTERN.exec(match[2]);
+      const lon = LON_PATTERN.exec(match[2]);
+      let body = '';
+      if (!match[3]) {
+        const end = fragment.indexOf(`</${match[1]}`, POINT_PATTERN.lastIndex);
+        body = fragment.slice(POINT_PATTERN.lastIndex, end < 0 ? fragment.length : end);
+        POINT_PATTERN.lastIndex = end < 0 ? fragment.length : end;
+      }
+      const time = readChildText(body, 'time');
+      const point = {
+        lat: lat ? parseFloat(lat[1]) : NaN,
+        lng: lon ? parseFloat(lon[1]) : NaN,
+        ele: parseFloat(readChildText(body, 'ele')),
+        time: time ? Date.parse(time) : NaN,
+        hr: parseFloat(readChildText(body, 'hr')),
+        cad: parseFloat(readChildText(body, 'cad'))
+      };
+      if (isFinite(point.lat) && isFinite(point.lng) && Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180) {
+        points.push(point);
+      }
+    }
+    return points;
+  }
+
+  /**
+   * Fragments of all matches of a pattern (its first group)
+   */
+  function readFragments(text, pattern) {
+    const fragments = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      fragments.push(match[1]);
+    }
+    return fragments;
+  }
+
+  // ============================================================================
+  // GEOMETRY
+  // ============================================================================
+
+  /**
+   * Great-circle distance in meters (haversine, as Leaflet's distanceTo)
+   */
+  function haversine(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * DEG_TO_RAD;
+    const dLng = (lng2 - lng1) * DEG_TO_RAD;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * DEG_TO_RAD) * Math.cos(lat2 * DEG_TO_RAD) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Douglas-Peucker weight of every point: the tolerance in meters up to which it is kept
+   * A point never outweighs the split that created its range, so keeping all points above
+   * a tolerance is always a valid simplification. Start and end are always kept.
+   */
+  function computeWeights(lats, lngs) {
+    const count = lats.length;
+    const weights = new Float64Array(count);
+    weights[0] = Infinity;
+    weights[count - 1] = Infinity;
+
+    // Local equirectangular projection in meters is exact enough at the scale of one line
+    const scale = EARTH_RADIUS_METERS * DEG_TO_RAD;
+    const lngScale = scale * Math.cos(lats[0] * DEG_TO_RAD);
+    const xs = new Float64Array(count);
+    const ys = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      xs[i] = lngs[i] * lngScale;
+      ys[i] = lats[i] * scale;
+    }
+
+    const ranges = [0, count - 1, Infinity];
+    while (ranges.length) {
+      const limit = ranges.pop();
+      const last = ranges.pop();
+      const first = ranges.pop();
+      const dx = xs[last] - xs[first];
+      const dy = ys[last] - ys[first];
+      const lengthSquared = dx * dx + dy * dy;
+      let farthest = -1;
+      let farthestDistance = -1;
+      for (let i = first + 1; i < last; i++) {
+        const t = lengthSquared > 0
+          ? Math.min(Math.max(((xs[i] - xs[first]) * dx + (ys[i] - ys[first]) * dy) / lengthSquared, 0), 1)
+          : 0;
+        const ex = xs[first] + t * dx - xs[i];
+        const ey = ys[first] + t * dy - ys[i];
+        const distance = ex * ex + ey * ey;
+        if (distance > farthestDistance) {
+          farthestDistance = distance;
+          farthest = i;
+        }
+      }
+      if (farthest < 0) {
+        continue;
+      }
+      const weight = Math.min(Math.sqrt(farthestDistance), limit);
+      weights[farthest] = weight;
+      ranges.push(first, farthest, weight, farthest, last, weight);
+    }
+    return weights;
+  }
+
+  /**
+   * Turn the points of one line into typed arrays, distances and statistics
+   * Statistics follow leaflet-gpx: 3D distance, unsmoothed ascent and descent, and moving time from
+   * gaps shorter than MAX_POINT_INTERVAL_MS. A missing elevation repeats the one before it.
+   */
+  function buildLine(points) {
+    const count = points.length;
+    const line = {
+      lats: new Float64Array(count),
+      lngs: new Float64Array(count),
+      eles: new Float64Array(count),
+      times: new Float64Array(count),
+      hrs: new Float64Array(count),
+      cads: new Float64Array(count),
+      distances: new Float64Array(count), // Along the ground, as Leaflet measures
+      lengths: new Float64Array(count), // Including the climb, as leaflet-gpx measures
+      weights: null,
+      bounds: [Infinity, Infinity, -Infinity, -Infinity], // [south, west, north, east]
+      stats: { distance: 0, gain: 0, loss: 0, min: Infinity, max: -Infinity, moving: 0 }
+    };
+
+    let ele = NaN;
+    for (let i = 0; i < count; i++) {
+      const point = points[i];
+      ele = isFinite(point.ele) ? point.ele : ele;
+      line.lats[i] = point.lat;
+      line.lngs[i] = point.lng;
+      line.eles[i] = ele;
+      line.times[i] = point.time;
+      line.hrs[i] = point.hr;
+      line.cads[i] = point.cad;
+
+      line.bounds[0] = Math.min(line.bounds[0], point.lat);
+      line.bounds[1] = Math.min(line.bounds[1], point.lng);
+      line.bounds[2] = Math.max(line.bounds[2], point.lat);
+      line.bounds[3] = Math.max(line.bounds[3], point.lng);
+      if (isFinite(ele)) {
+        line.stats.min = Math.min(line.stats.min, ele);
+        line.stats.max = Math.max(line.stats.max, ele);
+      }
+      if (!i) {
+        continue;
+      }
+
+      const planar = haversine(line.lats[i - 1], line.lngs[i - 1], point.lat, point.lng);
+      const climb = isFinite(ele) && isFinite(line.eles[i - 1]) ? ele - line.eles[i - 1] : 0;
+      const gap = Math.abs(point.time - line.times[i - 1]);
+      line.distances[i] = line.distances[i - 1] + planar;
+      line.lengths[i] = line.lengths[i - 1] + Math.sqrt(planar * planar + climb * climb);
+      line.stats.gain += Math.max(climb, 0);
+      line.stats.loss += Math.max(-climb, 0);
+      if (gap < MAX_POINT_INTERVAL_MS) {
+        line.stats.moving += gap;
+      }
+    }
+    line.stats.distance = line.lengths[count - 1];
+    line.weights = computeWeights(line.lats, line.lngs);
+    return line;
+  }
+
+  // ============================================================================
+  // PREVIEW
+  // ============================================================================
+
+  /**
+   * Every n-th point of each track, enough for the SVG silhouette of the track preview
+   * Only the lat and lon attributes are read, like extractPreviewTracks() in tour-maps.js.
+   * @returns {Array} One [[lat, lng], ...] list per file, or per <trk> when splitTracks
+   */
+  function readPreviewTracks(text, splitTracks, maxPoints) {
+    const chunks = splitTracks ? readFragments(text, TRACK_PATTERN) : [text];
+    return chunks.map(chunk => {
+      const tags = chunk.match(POINT_TAG_PATTERN) || [];
+      const step = Math.max(1, Math.ceil(tags.length / maxPoints));
+      const points = [];
+      tags.forEach((tag, index) => {
+        if (index % step !== 0 && index !== tags.length - 1) {
+          return;
+        }
+        const lat = parseFloat((LAT_PATTERN.exec(tag) || [])[1]);
+        const lng = parseFloat((LON_PATTERN.exec(tag) || [])[1]);
+        if (isFinite(lat) && isFinite(lng)) {
+          points.push([lat, lng]);
+        }
+      });
+      return points;
+    }).filter(points => points.length > 1);
+  }
+
+  // ============================================================================
+  // MESSAGES
+  // ============================================================================
+
+  /**
+   * Parse a GPX document into routes and tracks
+   * Like leaflet-gpx, each <rte> is one line and each <trk> is one line, or one line
+   * per <trkseg> when segments are kept apart (e.g. around a privacy zone).
+   */
+  function parseGpx(text, separateSegments) {
+    const toLine = points => (points.length > 1 ? buildLine(points) : null);
+    const routes = readFragments(text, ROUTE_PATTERN).map(route => toLine(readPoints(route))).filter(Boolean);
+    const tracks = readFragments(text, TRACK_PATTERN).map(track => {
+      const parts = separateSegments ? readFragments(track, SEGMENT_PATTERN) : [track];
+      return parts.map(part => toLine(readPoints(part))).filter(Boolean);
+    });
+    if (!routes.length && !tracks.some(lines => lines.length)) {
+      throw new Error('No track points found');
+    }
+
+    const root = ROOT_PATTERN.exec(text);
+    return {
+      root: root ? root[0] : '<gpx>',
+      waypoints: (text.match(WAYPOINT_PATTERN) || []).join(''),
+      routes: routes,
+      tracks: tracks
+    };
+  }
+
+  // ============================================================================
+  // PRIVACY ZONES
+  // ============================================================================
+
+  /**
+   * FNV-1a hash of the grid cell holding a point, the same as hashPrivacyCell() in tour-maps.js
+   */
+  function hashPrivacyCell(lat, lng) {
+    const key = `${Math.floor(lat / PRIVACY_CELL_DEGREES)},${Math.floor(lng / PRIVACY_CELL_DEGREES)}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Split the points of a <trkseg> or <rte> into runs outside the zones, one container per run
+   * Other children (e.g. the <name> of a route) stay in the first container; a container
+   * without points left is dropped, like applyPrivacyZones() in tour-maps.js does.
+   */
+  function trimContainer(open, close, body, isHidden) {
+    const runs = [[]];
+    let rest = '';
+    let last = 0;
+    let gap = false;
+    POINT_ELEMENT_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = POINT_ELEMENT_PATTERN.exec(body))) {
+      rest += body.slice(last, match.index);
+      last = POINT_ELEMENT_PATTERN.lastIndex;
+      const run = runs[runs.length - 1];
+      if (isHidden(match[2])) {
+        gap = run.length > 0;
+        continue;
+      }
+      if (gap) {
+        runs.push([match[0]]);
+        gap = false;
+      } else {
+        run.push(match[0]);
+      }
+    }
+    rest += body.slice(last);
+
+    const kept = runs.filter(run => run.length);
+    if (!kept.length) {
+      return '';
+    }
+    return kept.map((run, index) => open + (index === 0 ? rest.trim() : '') + run.join('') + close).join('');
+  }
+
+  /**
+   * Remove the track points, route points and waypoints inside the zones from GPX text
+   */
+  function trimPrivacyZones(text, zones) {
+    const cells = new Set(zones);
+    const isHidden = attributes => {
+      const lat = LAT_PATTERN.exec(attributes);
+      const lon = LON_PATTERN.exec(attributes);
+      return Boolean(lat && lon) && cells.has(hashPrivacyCell(parseFloat(lat[1]), parseFloat(lon[1])));
+    };
+
+    return text
+      .replace(WAYPOINT_PATTERN, waypoint => (isHidden(/^<wpt\b([^>]*)/.exec(waypoint)[1]) ? '' : waypoint))
+      .replace(CONTAINER_PATTERN, (container, name, body) => {
+        const close = `</${name}>`;
+        return trimContainer(container.slice(0, container.length - body.length - close.length), close, body, isHidden);
+      });
+  }
+
+  // ============================================================================
+  // MESSAGES
+  // ============================================================================
+
+  /**
+   * Buffers of all typed arrays in the result, handed over instead of copied
+   */
+  function collectTransferables(result) {
+    const buffers = [];
+    result.routes.concat(...result.tracks).forEach(line => {
+      Object.keys(line).forEach(key => {
+        if (ArrayBuffer.isView(line[key])) {
+          buffers.push(line[key].buffer);
+        }
+      });
+    });
+    return buffers;
+  }
+
+  self.onmessage = event => {
+    const request = event.data || {};
+    let result;
+    try {
+      if (request.task === 'trim') {
+        result = trimPrivacyZones(String(request.text || ''), Array.isArray(request.zones) ? request.zones : []);
+        self.postMessage({ id: request.id, result: result });
+        return;
+      }
+      if (request.task === 'preview') {
+        result = readPreviewTracks(String(request.text || ''), Boolean(request.splitTracks), request.maxPoints || 1000);
+        self.postMessage({ id: request.id, result: result });
+        return;
+      }
+      result = parseGpx(String(request.text || ''), Boolean(request.separateSegments));
+    } catch (err) {
+      self.postMessage({ id: request.id, error: err.message || String(err) });
+      return;
+    }
+    self.postMessage({ id: request.id, result: result }, collectTransferables(result));
+  };
+
+})();